@@ -694,12 +694,13 @@ async enterPosition(symbol, signal, signalPrice, entryTime, klines) {
             if (currentPrice >= stopLoss) return 'STOP_LOSS';
         }
 
-        const holdTime = kline.time - position.entryTime;
-        const maxHoldTime = config.strategy.maxHoldTime || (8 * 60 * 60 * 1000);
-        
-        if (holdTime >= maxHoldTime) return 'MAX_HOLD_TIME_REACHED';
+        // Same time exits as the live bot
+        const risk = Math.abs(position.entryPrice - stopLoss);
+        const profitR = risk > 0
+            ? (position.side === 'BUY' ? currentPrice - position.entryPrice : position.entryPrice - currentPrice) / risk
+            : 0;
 
-        return null;
+        return this.strategy.checkTimeExit(position.symbol, kline.time - position.entryTime, profitR);
     }
 
     async exitPosition(position, signalPrice, exitTime, exitReason) {
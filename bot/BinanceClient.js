@@ -1,54 +1,175 @@
 import crypto from 'crypto';
 import axios from 'axios';
 import config from '#config';
+import ExchangeAdapter from '#bot/ExchangeAdapter';
+import MarketDataStream from '#bot/MarketDataStream';
+import UserDataStream from '#bot/UserDataStream';
+import BinanceErrors from '#bot/BinanceErrors';
 import RateLimitedQueue from '#utils/RateLimitedQueue';
+import RetryPolicy from '#utils/RetryPolicy';
+import ServerClock from '#utils/ServerClock';
 //https://developers.binance.com/docs/derivatives/usds-margined-futures
-class BinanceClient {
+
+// Request cost per endpoint: `weight` counts against REQUEST_WEIGHT (per IP),
+// `orders` against the ORDERS limits (per account). Unlisted endpoints cost 1 weight.
+const ENDPOINT_COSTS = {
+    'GET /fapi/v1/klines': params => ({ weight: klinesWeight(params.limit ?? 500) }),
+    'GET /fapi/v1/ticker/price': params => ({ weight: params.symbol ? 1 : 2 }),
+    'GET /fapi/v2/account': () => ({ weight: 5 }),
+    'GET /fapi/v2/positionRisk': () => ({ weight: 5 }),
+    'GET /fapi/v1/openOrders': params => ({ weight: params.symbol ? 1 : 40 }),
+    'GET /fapi/v1/allOrders': () => ({ weight: 5 }),
+    'GET /fapi/v1/positionSide/dual': () => ({ weight: 30 }),
+    'POST /fapi/v1/order': () => ({ weight: 0, orders: 1 }),
+    'POST /fapi/v1/batchOrders': params => ({ weight: 5, orders: JSON.parse(params.batchOrders).length })
+};
+
+function klinesWeight(limit) {
+    if (limit < 100) return 1;
+    if (limit < 500) return 2;
+    if (limit <= 1000) return 5;
+    return 10;
+}
+
+// X-MBX-USED-WEIGHT-1M / X-MBX-ORDER-COUNT-10S style usage headers -> limiter budgets
+const USAGE_HEADERS = [
+    { pattern: /^x-mbx-used-weight-(\d+[smhd])$/, kind: 'weight' },
+    { pattern: /^x-mbx-order-count-(\d+[smhd])$/, kind: 'orders' }
+];
+
+// Resending these can create a second order - see RetryPolicy
+const NON_IDEMPOTENT = new Set(['POST /fapi/v1/order', 'POST /fapi/v1/batchOrders']);
+
+const RATE_LIMIT_TYPES = { REQUEST_WEIGHT: 'weight', ORDERS: 'orders' };
+const INTERVAL_LETTERS = { SECOND: 's', MINUTE: 'm', HOUR: 'h', DAY: 'd' };
+
+class BinanceClient extends ExchangeAdapter {
     constructor() {
+        super('binance');
         this.config = config.getCurrentConfig();
         this.baseURL = this.config.baseURL;
         this.exchangeInfo = null;
         this.symbolInfoCache = {};
+        this.listenKey = null;
         
-        this.rateLimiter = new RateLimitedQueue(1000, 100, 10);
-    }
-
-    async makeAxiosCall(config) {
-        return new Promise((resolve, reject) => {
-            const wrappedFn = async (done) => {
-                try {
-                    const response = await axios(config);
-                    resolve(response.data);
-                } catch (error) {
-                    // ✅ PRESERVE BINANCE ERROR DETAILS
-                    if (error.response && error.response.data) {
-                        // Binance API error with detailed message
-                        reject({
-                            code: error.response.data.code,
-                            msg: error.response.data.msg,
-                            message: `Binance Error ${error.response.data.code}: ${error.response.data.msg}`,
-                            originalError: error.response.data
-                        });
-                    } else if (error.request) {
-                        // Network error
-                        reject({
-                            message: `Network Error: ${error.message || 'No response from Binance'}`,
-                            originalError: error
-                        });
-                    } else {
-                        // Other error
-                        reject({
-                            message: error.message,
-                            originalError: error
-                        });
-                    }
-                } finally {
-                    done();
-                }
-            };
-            
-            this.rateLimiter.enqueue(wrappedFn);
+        const limits = config.rateLimits;
+        this.rateLimits = limits;
+        this.rateLimiter = new RateLimitedQueue({
+            maxConcurrent: limits.maxConcurrent,
+            safetyMargin: limits.safetyMargin,
+            budgets: [
+                { kind: 'weight', interval: '1m', limit: limits.requestWeightPerMinute },
+                { kind: 'orders', interval: '10s', limit: limits.ordersPer10s },
+                { kind: 'orders', interval: '1m', limit: limits.ordersPerMinute }
+            ]
         });
+        this.retryPolicy = new RetryPolicy(config.retry);
+        this.recvWindow = config.timeSync.recvWindow;
+        this.clock = new ServerClock(() => this.getServerTime(), config.timeSync);
+    }
+
+    // Retries transient failures per RetryPolicy; every rejection carries a BinanceErrors category
+    async makeAxiosCall(config, cost = { weight: 1 }, idempotent = true) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendRequest(config, cost);
+            } catch (error) {
+                if (!this.retryPolicy.shouldRetry(error, attempt, idempotent)) throw error;
+
+                const delay = this.retryPolicy.delayFor(attempt, error);
+                console.log(`🔁 ${error.category}: ${error.message} - retry ${attempt + 1}/${this.retryPolicy.maxRetries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // `config` may be a function so signed requests are stamped when they leave the queue, not when queued
+    async sendRequest(config, cost) {
+        try {
+            const response = await this.rateLimiter.schedule(
+                () => axios(typeof config === 'function' ? config() : config),
+                cost
+            );
+            this.syncRateLimitUsage(response.headers);
+            return response.data;
+        } catch (error) {
+            let backoffMs;
+            if (error.response) {
+                this.syncRateLimitUsage(error.response.headers);
+                backoffMs = this.handleRateLimitResponse(error.response);
+            }
+
+            // ✅ PRESERVE BINANCE ERROR DETAILS
+            if (error.response && error.response.data) {
+                // Binance API error with detailed message
+                const { code, msg } = error.response.data;
+                const status = error.response.status;
+                throw {
+                    code,
+                    msg,
+                    message: code !== undefined ? `Binance Error ${code}: ${msg}` : `HTTP ${status} from Binance`,
+                    status,
+                    ...BinanceErrors.classify({ code, status }),
+                    retryAfterMs: backoffMs,
+                    originalError: error.response.data
+                };
+            } else if (error.request) {
+                // Network error
+                throw {
+                    message: `Network Error: ${error.message || 'No response from Binance'}`,
+                    ...BinanceErrors.classify({ networkCode: error.code }),
+                    originalError: error
+                };
+            } else {
+                // Other error - bug or bad config, never worth retrying
+                throw {
+                    message: error.message,
+                    category: BinanceErrors.CATEGORY.INVALID_REQUEST,
+                    retryable: false,
+                    notExecuted: true,
+                    originalError: error
+                };
+            }
+        }
+    }
+
+    // === RATE LIMITS ===
+    requestCost(method, endpoint, params) {
+        const cost = ENDPOINT_COSTS[`${method} ${endpoint}`];
+        return cost ? cost(params) : { weight: 1 };
+    }
+
+    syncRateLimitUsage(headers = {}) {
+        for (const [name, value] of Object.entries(headers)) {
+            for (const { pattern, kind } of USAGE_HEADERS) {
+                const match = pattern.exec(name.toLowerCase());
+                if (match) this.rateLimiter.syncUsage(kind, match[1], parseInt(value, 10));
+            }
+        }
+    }
+
+    // 429 = over the limit, 418 = IP banned for ignoring 429s. Both carry Retry-After (seconds).
+    handleRateLimitResponse(response) {
+        if (response.status !== 429 && response.status !== 418) return undefined;
+
+        const retryAfter = parseInt(response.headers?.['retry-after'], 10);
+        const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : this.rateLimits.defaultBackoffMs;
+        this.rateLimiter.backoff(delay);
+
+        const label = response.status === 418 ? 'IP banned' : 'Rate limited';
+        console.error(`🚫 ${label} by Binance - pausing all requests for ${Math.ceil(delay / 1000)}s`);
+        return delay;
+    }
+
+    // exchangeInfo publishes the live limits for this IP/account
+    applyExchangeRateLimits(rateLimits = []) {
+        for (const limit of rateLimits) {
+            const kind = RATE_LIMIT_TYPES[limit.rateLimitType];
+            const unit = INTERVAL_LETTERS[limit.interval];
+            if (kind && unit) {
+                this.rateLimiter.setBudget(kind, `${limit.intervalNum}${unit}`, limit.limit);
+            }
+        }
     }
 
     // Public requests - no authentication
@@ -60,16 +181,42 @@ class BinanceClient {
             timeout: 10000
         };
         
-        return this.makeAxiosCall(config);
+        return this.makeAxiosCall(config, this.requestCost(method, endpoint, params));
+    }
+
+    isIdempotent(method, endpoint) {
+        return !NON_IDEMPOTENT.has(`${method} ${endpoint}`);
     }
 
     // Private requests - with authentication
-    async privateRequest(method, endpoint, params = {}) {
-        const timestamp = Date.now().toString();
+    async privateRequest(method, endpoint, params = {}, isRetry = false) {
+        if (!this.clock.lastSync) {
+            await this.syncTime().catch(error => console.error(`❌ Server time sync failed: ${error.message}`));
+        }
+
+        try {
+            const cost = this.requestCost(method, endpoint, params);
+            return await this.makeAxiosCall(
+                () => this.signRequest(method, endpoint, params),
+                cost,
+                this.isIdempotent(method, endpoint)
+            );
+        } catch (error) {
+            // -1021 means the request was rejected before execution, so a single retry is safe
+            if (error.category === BinanceErrors.CATEGORY.TIMESTAMP && !isRetry) {
+                console.log(`⏱️ ${endpoint} timestamp rejected - resyncing server time and retrying`);
+                await this.syncTime();
+                return this.privateRequest(method, endpoint, params, true);
+            }
+            throw error;
+        }
+    }
+
+    signRequest(method, endpoint, params) {
         const queryParams = new URLSearchParams({
             ...params,
-            timestamp,
-            recvWindow: 60000
+            timestamp: this.clock.now().toString(),
+            recvWindow: this.recvWindow
         });
 
         const signature = crypto
@@ -88,13 +235,45 @@ class BinanceClient {
             timeout: 10000
         };
 
-        return this.makeAxiosCall(config);
+        return config;
+    }
+
+    // API key requests - header only, no signature (listenKey management)
+    async apiKeyRequest(method, endpoint, params = {}) {
+        const config = {
+            method,
+            url: `${this.baseURL}${endpoint}`,
+            params: params,
+            headers: {
+                'X-MBX-APIKEY': this.config.apiKey
+            },
+            timeout: 10000
+        };
+
+        return this.makeAxiosCall(config, this.requestCost(method, endpoint, params));
+    }
+
+    // === SERVER TIME ===
+    async getServerTime() {
+        const data = await this.publicRequest('GET', '/fapi/v1/time');
+        return data.serverTime;
+    }
+
+    async syncTime() {
+        const status = await this.clock.sync();
+        this.clock.start();
+        return status;
+    }
+
+    getClockStatus() {
+        return this.clock.getStatus();
     }
 
     // Public endpoints
     async getExchangeInfo() {
         if (!this.exchangeInfo) {
             this.exchangeInfo = await this.publicRequest('GET', '/fapi/v1/exchangeInfo');
+            this.applyExchangeRateLimits(this.exchangeInfo.rateLimits);
         }
         return this.exchangeInfo;
     }
@@ -104,6 +283,17 @@ class BinanceClient {
         return parseFloat(data.price);
     }
 
+    async getBookTicker(symbol) {
+        const data = await this.publicRequest('GET', '/fapi/v1/ticker/bookTicker', { symbol });
+        return {
+            symbol: data.symbol,
+            bidPrice: parseFloat(data.bidPrice),
+            bidQty: parseFloat(data.bidQty),
+            askPrice: parseFloat(data.askPrice),
+            askQty: parseFloat(data.askQty)
+        };
+    }
+
     async getKlines(symbol, interval = '1m', limit = 100) {
         const data = await this.publicRequest('GET', '/fapi/v1/klines', { 
             symbol, 
@@ -122,44 +312,66 @@ class BinanceClient {
 
     // Private endpoints
     async getAccountInfo() {
-        return await this.privateRequest('GET', '/fapi/v2/account');
+        const account = await this.privateRequest('GET', '/fapi/v2/account');
+        return this.normalizeAccount(account);
     }
 
     async getOpenPositions() {
         const positions = await this.privateRequest('GET', '/fapi/v2/positionRisk');
-        return positions.filter(p => Math.abs(parseFloat(p.positionAmt)) > 0);
+        return positions
+            .filter(p => Math.abs(parseFloat(p.positionAmt)) > 0)
+            .map(p => this.normalizePosition(p));
     }
 
     async getOpenOrders(symbol = null) {
         const params = symbol ? { symbol } : {};
-        return await this.privateRequest('GET', '/fapi/v1/openOrders', params);
+        const orders = await this.privateRequest('GET', '/fapi/v1/openOrders', params);
+        return orders.map(o => this.normalizeOrder(o));
     }
 
     async getAllOrders(symbol, limit = 50) {
-        return await this.privateRequest('GET', '/fapi/v1/allOrders', {
+        const orders = await this.privateRequest('GET', '/fapi/v1/allOrders', {
             symbol: symbol,
             limit: limit
         });
+        return orders.map(o => this.normalizeOrder(o));
     }
 
     async getOrder(symbol, orderId) {
-        return await this.privateRequest('GET', '/fapi/v1/order', {
+        const order = await this.privateRequest('GET', '/fapi/v1/order', {
             symbol: symbol,
             orderId: orderId
         });
+        return this.normalizeOrder(order);
+    }
+
+    async getOrderByClientId(symbol, clientOrderId) {
+        try {
+            const order = await this.privateRequest('GET', '/fapi/v1/order', {
+                symbol: symbol,
+                origClientOrderId: clientOrderId
+            });
+            return this.normalizeOrder(order);
+        } catch (error) {
+            if (error.category === BinanceErrors.CATEGORY.ORDER_NOT_FOUND) return null;
+            throw error;
+        }
     }
 
-    async placeMarketOrder(symbol, side, quantity) {
+    async placeMarketOrder(symbol, side, quantity, options = {}) {
         const order = {
             symbol: symbol,
             side: side.toUpperCase(),
             type: 'MARKET',
-            quantity: quantity.toString()
+            quantity: quantity.toString(),
+            ...this.clientOrderIdParam(options.clientOrderId),
+            ...this.positionSideParam(options.positionSide),
+            ...this.reduceOnlyParam(options.reduceOnly)
         };
-        return await this.privateRequest('POST', '/fapi/v1/order', order);
+        return this.submitOrder(order);
     }
 
-    async placeLimitOrder(symbol, side, quantity, price) {
+    async placeLimitOrder(symbol, side, quantity, price, options = {}) {
         const symbolInfo = await this.getSymbolInfo(symbol);
         const adjustedPrice = this.adjustPriceToTickSize(price, parseFloat(symbolInfo.filters.PRICE_FILTER.tickSize));
 
@@ -169,16 +381,138 @@ class BinanceClient {
             type: 'LIMIT',
             quantity: quantity.toString(),
             price: adjustedPrice.toString(),
-            timeInForce: 'GTC'
+            timeInForce: options.postOnly ? 'GTX' : 'GTC',
+            ...this.clientOrderIdParam(options.clientOrderId),
+            ...this.positionSideParam(options.positionSide)
         };
-        return await this.privateRequest('POST', '/fapi/v1/order', order);
+        return this.submitOrder(order);
+    }
+
+    clientOrderIdParam(clientOrderId) {
+        return clientOrderId ? { newClientOrderId: clientOrderId } : {};
+    }
+
+    // Hedge mode only - one-way accounts reject LONG/SHORT
+    positionSideParam(positionSide) {
+        return positionSide ? { positionSide } : {};
+    }
+
+    // One-way mode only - hedge mode rejects reduceOnly, positionSide already says which side is reduced
+    reduceOnlyParam(reduceOnly) {
+        return reduceOnly ? { reduceOnly: 'true' } : {};
+    }
+
+    // Exit orders never open exposure: reduceOnly in one-way mode, the positionSide in hedge mode
+    exitParams(positionSide) {
+        return positionSide ? { positionSide } : this.reduceOnlyParam(true);
+    }
+
+    // Trigger on the last trade (CONTRACT_PRICE) unless MARK_PRICE is asked for
+    workingTypeParam(workingType) {
+        return { workingType: workingType || 'CONTRACT_PRICE' };
+    }
+
+    // === IDEMPOTENT SUBMISSION ===
+    // An order that failed ambiguously (timeout, 5xx) may still have been accepted. With a
+    // clientOrderId we ask instead of guessing: reuse the order if it exists, resend only if not.
+    async submitOrder(order) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return this.normalizeOrder(await this.privateRequest('POST', '/fapi/v1/order', order));
+            } catch (error) {
+                const clientOrderId = order.newClientOrderId;
+                if (!clientOrderId) throw error;
+
+                if (error.category === BinanceErrors.CATEGORY.DUPLICATE_ORDER) {
+                    const existing = await this.getOrderByClientId(order.symbol, clientOrderId);
+                    if (existing) return existing;
+                    throw error;
+                }
+                if (error.notExecuted || !error.retryable || attempt >= this.retryPolicy.maxRetries) throw error;
+
+                // Give the matching engine a moment to settle before asking what happened
+                await this.sleep(this.retryPolicy.delayFor(attempt, error));
+                const existing = await this.getOrderByClientId(order.symbol, clientOrderId).catch(() => { throw error; });
+                if (existing) {
+                    console.log(`♻️ ${clientOrderId} was accepted despite ${error.category} - using order ${existing.orderId}`);
+                    return existing;
+                }
+                console.log(`🔁 ${clientOrderId} not found after ${error.category} - resending`);
+            }
+        }
+    }
+
+    async submitBatchOrders(orders) {
+        const identified = orders.every(o => o.newClientOrderId);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const results = await this.privateRequest('POST', '/fapi/v1/batchOrders', {
+                    batchOrders: JSON.stringify(orders)
+                });
+                // Failed legs come back as { code, msg } in place of the order
+                return await Promise.all(results.map((result, i) => this.resolveBatchLeg(result, orders[i])));
+            } catch (error) {
+                if (!identified || error.notExecuted || !error.retryable || attempt >= this.retryPolicy.maxRetries) throw error;
+
+                await this.sleep(this.retryPolicy.delayFor(attempt, error));
+                const existing = await Promise.all(
+                    orders.map(o => this.getOrderByClientId(o.symbol, o.newClientOrderId))
+                ).catch(() => { throw error; });
+                if (existing.every(Boolean)) {
+                    console.log(`♻️ Batch ${orders.map(o => o.newClientOrderId).join(', ')} was accepted despite ${error.category}`);
+                    return existing;
+                }
+                // Legs that did get placed are still open and come back as duplicates
+                console.log(`🔁 Batch not fully placed after ${error.category} - resending`);
+            }
+        }
+    }
+
+    async resolveBatchLeg(result, order) {
+        if (!result.code) return this.normalizeOrder(result);
+
+        if (BinanceErrors.classify(result).category === BinanceErrors.CATEGORY.DUPLICATE_ORDER && order.newClientOrderId) {
+            const existing = await this.getOrderByClientId(order.symbol, order.newClientOrderId).catch(() => null);
+            if (existing) return existing;
+        }
+        return result;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     async cancelOrder(symbol, orderId) {
-        return await this.privateRequest('DELETE', '/fapi/v1/order', {
+        const order = await this.privateRequest('DELETE', '/fapi/v1/order', {
             symbol: symbol,
             orderId: orderId
         });
+        return this.normalizeOrder(order);
+    }
+
+    async setCountdownCancelAll(symbol, countdownMs) {
+        return this.privateRequest('POST', '/fapi/v1/countdownCancelAll', {
+            symbol,
+            countdownTime: Math.max(0, Math.round(countdownMs))
+        });
+    }
+
+    // User data stream - a listenKey lives 60 minutes unless kept alive
+    async createListenKey() {
+        const data = await this.apiKeyRequest('POST', '/fapi/v1/listenKey');
+        this.listenKey = data.listenKey;
+        return this.listenKey;
+    }
+
+    async keepAliveListenKey() {
+        return await this.apiKeyRequest('PUT', '/fapi/v1/listenKey');
+    }
+
+    async closeListenKey() {
+        const result = await this.apiKeyRequest('DELETE', '/fapi/v1/listenKey');
+        this.listenKey = null;
+        return result;
     }
 
     async setLeverage(symbol, leverage) {
@@ -200,7 +534,7 @@ class BinanceClient {
             console.log(`   Error code: ${error.code}`);
             console.log(`   Error message: ${error.msg || error.message}`);
 
-            if (error.code === -4046 || error.msg?.includes('leverage not modified')) {
+            if (error.category === BinanceErrors.CATEGORY.NO_CHANGE || error.msg?.includes('leverage not modified')) {
                 console.log(`ℹ️ ${symbol} leverage already set to: ${leverage}x`);
                 return { alreadySet: true };
             } else {
@@ -229,7 +563,7 @@ class BinanceClient {
             console.log(`   Error code: ${error.code}`);
             console.log(`   Error message: ${error.msg || error.message}`);
 
-            if (error.code === -4046 || error.msg?.includes('No need to change margin type')) {
+            if (error.category === BinanceErrors.CATEGORY.NO_CHANGE || error.msg?.includes('No need to change margin type')) {
                 console.log(`ℹ️ ${symbol} margin mode already set to: ${marginType}`);
                 return { alreadySet: true };
             } else {
@@ -239,7 +573,29 @@ class BinanceClient {
         }
     }
 
-    async placeStopMarketOrder(symbol, side, quantity, stopPrice) {
+    // === POSITION MODE ===
+    async getPositionMode() {
+        const data = await this.privateRequest('GET', '/fapi/v1/positionSide/dual');
+        return data.dualSidePosition ? 'HEDGE' : 'ONE_WAY';
+    }
+
+    async setPositionMode(mode) {
+        try {
+            const result = await this.privateRequest('POST', '/fapi/v1/positionSide/dual', {
+                dualSidePosition: mode === 'HEDGE' ? 'true' : 'false'
+            });
+            console.log(`✅ Position mode set to: ${mode}`);
+            return result;
+        } catch (error) {
+            if (error.category === BinanceErrors.CATEGORY.NO_CHANGE) {
+                console.log(`ℹ️ Position mode already set to: ${mode}`);
+                return { alreadySet: true };
+            }
+            throw error;
+        }
+    }
+
+    async placeStopMarketOrder(symbol, side, quantity, stopPrice, options = {}) {
         const symbolInfo = await this.getSymbolInfo(symbol);
         const adjustedStopPrice = this.adjustPriceToTickSize(stopPrice, parseFloat(symbolInfo.filters.PRICE_FILTER.tickSize));
 
@@ -249,12 +605,16 @@ class BinanceClient {
             type: 'STOP_MARKET',
             quantity: quantity.toString(),
             stopPrice: adjustedStopPrice.toString(),
-            timeInForce: 'GTC'
+            timeInForce: 'GTC',
+            priceProtect: 'TRUE',
+            ...this.workingTypeParam(options.workingType),
+            ...this.clientOrderIdParam(options.clientOrderId),
+            ...this.exitParams(options.positionSide)
         };
-        return await this.privateRequest('POST', '/fapi/v1/order', order);
+        return this.submitOrder(order);
     }
 
-    async placeTakeProfitOrder(symbol, side, quantity, price, stopPrice) {
+    async placeTakeProfitOrder(symbol, side, quantity, price, stopPrice, options = {}) {
         const symbolInfo = await this.getSymbolInfo(symbol);
         const adjustedPrice = this.adjustPriceToTickSize(price, parseFloat(symbolInfo.filters.PRICE_FILTER.tickSize));
         const adjustedStopPrice = this.adjustPriceToTickSize(stopPrice, parseFloat(symbolInfo.filters.PRICE_FILTER.tickSize));
@@ -266,68 +626,86 @@ class BinanceClient {
             quantity: quantity.toString(),
             price: adjustedPrice.toString(),
             stopPrice: adjustedStopPrice.toString(),
-            timeInForce: 'GTC'
+            timeInForce: 'GTC',
+            ...this.workingTypeParam(options.workingType),
+            ...this.clientOrderIdParam(options.clientOrderId),
+            ...this.exitParams(options.positionSide)
         };
         console.log(`🔍 Placing TAKE_PROFIT order:`, order);
-        return await this.privateRequest('POST', '/fapi/v1/order', order);
+        return this.submitOrder(order);
     }
 
-    async placeTP_SL_BatchOrders(symbol, side, quantity, takeProfitPrice, stopLossPrice) {
+    // options.trailingStop ({ callbackRate, activationPrice }) swaps the TAKE_PROFIT for a TRAILING_STOP_MARKET
+    async placeTP_SL_BatchOrders(symbol, side, quantity, takeProfitPrice, stopLossPrice, options = {}) {
         const symbolInfo = await this.getSymbolInfo(symbol);
+        const tickSize = parseFloat(symbolInfo.filters.PRICE_FILTER.tickSize);
+        const stepSize = parseFloat(symbolInfo.filters.LOT_SIZE.stepSize);
+        const ladder = options.takeProfitLadder || [];
+        const exitQuantity = this.remainingQuantity(quantity, ladder.map(l => l.quantity), stepSize);
 
-        const adjustedTakeProfit = this.adjustPriceToTickSize(takeProfitPrice, parseFloat(symbolInfo.filters.PRICE_FILTER.tickSize));
-        const adjustedStopLoss = this.adjustPriceToTickSize(stopLossPrice, parseFloat(symbolInfo.filters.PRICE_FILTER.tickSize));
+        const adjustedTakeProfit = this.adjustPriceToTickSize(takeProfitPrice, tickSize);
+        const adjustedStopLoss = this.adjustPriceToTickSize(stopLossPrice, tickSize);
+        const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
 
-        const orders = [];
+        const takeProfitLeg = (legQuantity, price) => ({
+            symbol: symbol,
+            side: closeSide,
+            type: 'TAKE_PROFIT',
+            quantity: legQuantity.toString(),
+            price: price.toString(),
+            stopPrice: price.toString(),
+            timeInForce: 'GTC',
+            priceProtect: 'TRUE',
+            ...this.workingTypeParam(options.workingType)
+        });
 
-        if (side === 'BUY') {
-            orders.push({
-                symbol: symbol,
-                side: 'SELL',
-                type: 'TAKE_PROFIT',
-                quantity: quantity.toString(),
-                price: adjustedTakeProfit.toString(),
-                stopPrice: adjustedTakeProfit.toString(),
-                timeInForce: 'GTC',
-                priceProtect: 'TRUE'
-            });
+        const exitLeg = options.trailingStop
+            ? this.trailingStopLeg(symbol, closeSide, exitQuantity, options.trailingStop, tickSize, options.workingType)
+            : takeProfitLeg(exitQuantity, adjustedTakeProfit);
 
-            orders.push({
+        const orders = [
+            {
+                ...exitLeg,
+                ...this.clientOrderIdParam(options.takeProfitClientOrderId),
+                ...this.exitParams(options.positionSide)
+            },
+            {
                 symbol: symbol,
-                side: 'SELL',
+                side: closeSide,
                 type: 'STOP_MARKET',
                 quantity: quantity.toString(),
                 stopPrice: adjustedStopLoss.toString(),
                 timeInForce: 'GTC',
-                priceProtect: 'TRUE'
-            });
-        } else {
-            orders.push({
-                symbol: symbol,
-                side: 'BUY',
-                type: 'TAKE_PROFIT',
-                quantity: quantity.toString(),
-                price: adjustedTakeProfit.toString(),
-                stopPrice: adjustedTakeProfit.toString(),
-                timeInForce: 'GTC',
-                priceProtect: 'TRUE'
-            });
+                priceProtect: 'TRUE',
+                ...this.workingTypeParam(options.workingType),
+                ...this.clientOrderIdParam(options.stopLossClientOrderId),
+                ...this.exitParams(options.positionSide)
+            },
+            ...ladder.map(level => ({
+                ...takeProfitLeg(level.quantity, this.adjustPriceToTickSize(level.price, tickSize)),
+                ...this.clientOrderIdParam(level.clientOrderId),
+                ...this.exitParams(options.positionSide)
+            }))
+        ];
+
+        return this.submitBatchOrders(orders);
+    }
 
-            orders.push({
-                symbol: symbol,
-                side: 'BUY',
-                type: 'STOP_MARKET',
-                quantity: quantity.toString(),
-                stopPrice: adjustedStopLoss.toString(),
-                timeInForce: 'GTC',
-                priceProtect: 'TRUE'
-            });
+    // callbackRate is a percentage (0.1-10, one decimal); without activationPrice the trail starts at once
+    trailingStopLeg(symbol, side, quantity, { callbackRate, activationPrice }, tickSize, workingType) {
+        const leg = {
+            symbol: symbol,
+            side: side,
+            type: 'TRAILING_STOP_MARKET',
+            quantity: quantity.toString(),
+            callbackRate: callbackRate.toFixed(1),
+            timeInForce: 'GTC',
+            ...this.workingTypeParam(workingType)
+        };
+        if (activationPrice) {
+            leg.activationPrice = this.adjustPriceToTickSize(activationPrice, tickSize).toString();
         }
-
-        const batchOrdersParam = JSON.stringify(orders);
-        return await this.privateRequest('POST', '/fapi/v1/batchOrders', {
-            batchOrders: batchOrdersParam
-        });
+        return leg;
     }
 
     async getSymbolInfo(symbol) {
@@ -359,20 +737,82 @@ class BinanceClient {
         return info;
     }
 
-    adjustPriceToTickSize(price, tickSize) {
-        const precision = Math.max(0, Math.ceil(-Math.log10(tickSize)));
-        const adjusted = Math.floor(price / tickSize) * tickSize;
-        return parseFloat(adjusted.toFixed(precision));
+    async getSymbolRules(symbol) {
+        const info = await this.getSymbolInfo(symbol);
+        return {
+            symbol: info.symbol,
+            status: info.status,
+            baseAsset: info.baseAsset,
+            quoteAsset: info.quoteAsset,
+            tickSize: parseFloat(info.filters.PRICE_FILTER.tickSize),
+            stepSize: parseFloat(info.filters.LOT_SIZE.stepSize),
+            minQty: parseFloat(info.filters.LOT_SIZE.minQty),
+            maxQty: parseFloat(info.filters.LOT_SIZE.maxQty),
+            minNotional: parseFloat(info.filters.MIN_NOTIONAL.notional),
+            pricePrecision: info.pricePrecision,
+            quantityPrecision: info.quantityPrecision
+        };
     }
 
-    adjustQuantityToStepSize(quantity, stepSize) {
-        if (stepSize >= 1) {
-            return Math.floor(quantity / stepSize) * stepSize;
-        }
+    // === NORMALIZATION (see ExchangeAdapter for the shapes) ===
+    normalizeAccount(account) {
+        return {
+            asset: 'USDT',
+            walletBalance: parseFloat(account.totalWalletBalance),
+            availableBalance: parseFloat(account.availableBalance),
+            marginBalance: parseFloat(account.totalMarginBalance),
+            unrealizedPnl: parseFloat(account.totalUnrealizedProfit)
+        };
+    }
+
+    normalizePosition(position) {
+        const positionAmt = parseFloat(position.positionAmt);
+        return {
+            symbol: position.symbol,
+            side: positionAmt > 0 ? 'BUY' : 'SELL',
+            positionSide: position.positionSide || 'BOTH',
+            quantity: Math.abs(positionAmt),
+            entryPrice: parseFloat(position.entryPrice),
+            markPrice: parseFloat(position.markPrice),
+            unrealizedPnl: parseFloat(position.unRealizedProfit),
+            leverage: parseInt(position.leverage, 10),
+            marginType: position.marginType
+        };
+    }
+
+    normalizeOrder(order) {
+        return {
+            orderId: order.orderId,
+            clientOrderId: order.clientOrderId,
+            symbol: order.symbol,
+            side: order.side,
+            positionSide: order.positionSide || 'BOTH',
+            type: order.origType || order.type,
+            status: order.status,
+            price: parseFloat(order.price),
+            stopPrice: parseFloat(order.stopPrice),
+            avgPrice: parseFloat(order.avgPrice),
+            origQty: parseFloat(order.origQty),
+            executedQty: parseFloat(order.executedQty),
+            // Trailing stops only
+            activationPrice: order.activatePrice ? parseFloat(order.activatePrice) : null,
+            callbackRate: order.priceRate ? parseFloat(order.priceRate) : null,
+            reduceOnly: order.reduceOnly,
+            closePosition: order.closePosition,
+            workingType: order.workingType,
+            updateTime: order.updateTime
+        };
+    }
+
+    // === STREAMS ===
+    createMarketDataStream(options) {
+        if (!this.config.websocketURL) return null;
+        return new MarketDataStream(this, { ...options, websocketURL: this.config.websocketURL });
+    }
 
-        const precision = Math.max(0, Math.ceil(-Math.log10(stepSize)));
-        const adjusted = Math.ceil(quantity / stepSize) * stepSize;
-        return parseFloat(adjusted.toFixed(precision));
+    createUserDataStream(options) {
+        if (!this.config.websocketURL) return null;
+        return new UserDataStream(this, { ...options, websocketURL: this.config.websocketURL });
     }
 
     async calculateProperQuantity(symbol, price, minNotionalMultiplier = 1.1) {
@@ -395,12 +835,7 @@ class BinanceClient {
     }
 
     getRateLimiterStats() {
-        return {
-            queueLength: this.rateLimiter.queue.length,
-            running: this.rateLimiter.running,
-            tokens: this.rateLimiter.tokens,
-            burstLimit: this.rateLimiter.burstLimit
-        };
+        return this.rateLimiter.getStats();
     }
 }
 
@@ -0,0 +1,102 @@
+// Binance error taxonomy. Every error leaving BinanceClient carries a `category` plus:
+//   retryable   - transient, the same request can succeed later
+//   notExecuted - the exchange certainly did not act on the request (safe to resend even for orders)
+// https://developers.binance.com/docs/derivatives/usds-margined-futures/error-code
+const ErrorCategory = {
+    NETWORK: 'NETWORK',                         // No response (timeout, reset, DNS...)
+    SERVER: 'SERVER',                           // 5xx / internal errors - execution status unknown
+    RATE_LIMIT: 'RATE_LIMIT',                   // 429, too many requests / orders
+    IP_BANNED: 'IP_BANNED',                     // 418 - kept hammering after 429s
+    TIMESTAMP: 'TIMESTAMP',                     // Outside recvWindow - resync clock
+    AUTH: 'AUTH',                               // Bad key, signature or permissions
+    INSUFFICIENT_MARGIN: 'INSUFFICIENT_MARGIN',
+    FILTER: 'FILTER',                           // Price / quantity / notional filter violations
+    WOULD_TRIGGER: 'WOULD_TRIGGER',             // Conditional order would trigger immediately
+    POST_ONLY_REJECTED: 'POST_ONLY_REJECTED',   // GTX order would take liquidity
+    REDUCE_ONLY_REJECTED: 'REDUCE_ONLY_REJECTED',
+    ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',         // Unknown / already closed order
+    DUPLICATE_ORDER: 'DUPLICATE_ORDER',         // clientOrderId already used by an open order
+    NO_CHANGE: 'NO_CHANGE',                     // Setting already has the requested value
+    INVALID_REQUEST: 'INVALID_REQUEST'          // Anything else the exchange rejected
+};
+
+const CODE_CATEGORIES = {
+    [-1000]: ErrorCategory.SERVER,
+    [-1001]: ErrorCategory.SERVER,
+    [-1007]: ErrorCategory.SERVER,
+    [-1008]: ErrorCategory.SERVER,
+    [-1003]: ErrorCategory.RATE_LIMIT,
+    [-1015]: ErrorCategory.RATE_LIMIT,
+    [-1021]: ErrorCategory.TIMESTAMP,
+    [-1002]: ErrorCategory.AUTH,
+    [-1022]: ErrorCategory.AUTH,
+    [-2014]: ErrorCategory.AUTH,
+    [-2015]: ErrorCategory.AUTH,
+    [-2018]: ErrorCategory.INSUFFICIENT_MARGIN,
+    [-2019]: ErrorCategory.INSUFFICIENT_MARGIN,
+    [-1013]: ErrorCategory.FILTER,
+    [-1111]: ErrorCategory.FILTER,
+    [-4003]: ErrorCategory.FILTER,
+    [-4004]: ErrorCategory.FILTER,
+    [-4005]: ErrorCategory.FILTER,
+    [-4014]: ErrorCategory.FILTER,
+    [-4023]: ErrorCategory.FILTER,
+    [-4164]: ErrorCategory.FILTER,
+    [-2021]: ErrorCategory.WOULD_TRIGGER,
+    [-5022]: ErrorCategory.POST_ONLY_REJECTED,
+    [-2022]: ErrorCategory.REDUCE_ONLY_REJECTED,
+    [-2011]: ErrorCategory.ORDER_NOT_FOUND,
+    [-2013]: ErrorCategory.ORDER_NOT_FOUND,
+    [-4116]: ErrorCategory.DUPLICATE_ORDER,
+    [-4046]: ErrorCategory.NO_CHANGE,
+    [-4059]: ErrorCategory.NO_CHANGE
+};
+
+// -1000/-1001/-1007 and HTTP 5xx mean "execution status unknown"; -1008 is a plain overload rejection
+const UNKNOWN_EXECUTION_CODES = new Set([-1000, -1001, -1007]);
+
+// The connection was never established, so nothing reached the exchange
+const NOT_SENT_NETWORK_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+const RETRYABLE = new Set([ErrorCategory.NETWORK, ErrorCategory.SERVER, ErrorCategory.RATE_LIMIT]);
+
+class BinanceErrors {
+    static CATEGORY = ErrorCategory;
+
+    // Classifies a raw API error ({ code, status } or a network error with `networkCode`)
+    static classify({ code, status, networkCode } = {}) {
+        let category;
+        if (status === 418) {
+            category = ErrorCategory.IP_BANNED;
+        } else if (status === 429) {
+            category = ErrorCategory.RATE_LIMIT;
+        } else if (code !== undefined && CODE_CATEGORIES[code]) {
+            category = CODE_CATEGORIES[code];
+        } else if (status >= 500) {
+            category = ErrorCategory.SERVER;
+        } else if (status === undefined && code === undefined) {
+            category = ErrorCategory.NETWORK;
+        } else {
+            category = ErrorCategory.INVALID_REQUEST;
+        }
+
+        let notExecuted;
+        if (category === ErrorCategory.NETWORK) {
+            notExecuted = NOT_SENT_NETWORK_CODES.has(networkCode);
+        } else if (category === ErrorCategory.SERVER) {
+            notExecuted = !UNKNOWN_EXECUTION_CODES.has(code) && !(status >= 500 && code === undefined);
+        } else {
+            // Any other answer from the exchange is a definite rejection
+            notExecuted = true;
+        }
+
+        return { category, retryable: RETRYABLE.has(category), notExecuted };
+    }
+
+    static is(error, ...categories) {
+        const category = error?.category || BinanceErrors.classify(error).category;
+        return categories.includes(category);
+    }
+}
+
+export default BinanceErrors;
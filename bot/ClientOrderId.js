@@ -0,0 +1,83 @@
+// Deterministic client order IDs: <botId>-<symbol>-<tradeId>-<leg><revision>
+//   e.g. fs1-BTCUSDT-m2k9x1ab07-SL1
+// Partial take-profits of a TP ladder are legs TPA, TPB, TPC (levels 1-3).
+// Every order of a trade shares its tradeId, so positions and orders can be matched after a
+// restart without comparing quantities or prices, and an order whose submission failed
+// ambiguously can be looked up instead of being sent twice.
+// Binance accepts [.A-Z:/a-z0-9_-]{1,36}; symbols never contain '-'.
+const MAX_LENGTH = 36;
+const BOT_ID_PATTERN = /^[A-Za-z0-9]{1,6}$/;
+const LEG_PATTERN = /^([A-Z]+)(\d*)$/;
+
+class ClientOrderId {
+    static LEG = {
+        ENTRY: 'EN',
+        TAKE_PROFIT: 'TP',
+        TRAILING_STOP: 'TS',
+        STOP_LOSS: 'SL',
+        CLOSE: 'CL'
+    };
+
+    static LADDER_LEVELS = 'ABC';
+
+    static sequence = 0;
+
+    static isValidBotId(botId) {
+        return BOT_ID_PATTERN.test(botId);
+    }
+
+    // Time-ordered and unique within the process: base36 ms timestamp + 2-char sequence
+    static newTradeId() {
+        ClientOrderId.sequence = (ClientOrderId.sequence + 1) % (36 * 36);
+        return Date.now().toString(36) + ClientOrderId.sequence.toString(36).padStart(2, '0');
+    }
+
+    // Entry time of a trade, from the timestamp part of its ID
+    static tradeTime(tradeId) {
+        return parseInt(tradeId.slice(0, -2), 36);
+    }
+
+    // `revision` distinguishes re-placed protection for the same trade (repairs, retries)
+    static build(botId, symbol, tradeId, leg, revision = 0) {
+        const id = `${botId}-${symbol}-${tradeId}-${leg}${revision || ''}`;
+        if (id.length > MAX_LENGTH) {
+            throw new Error(`Client order ID "${id}" exceeds ${MAX_LENGTH} characters`);
+        }
+        return id;
+    }
+
+    static ladderLeg(level) {
+        const letter = ClientOrderId.LADDER_LEVELS[level - 1];
+        if (!letter) throw new Error(`TP ladder level ${level} out of range`);
+        return `${ClientOrderId.LEG.TAKE_PROFIT}${letter}`;
+    }
+
+    // TP ladder level (1-based) of a leg, or null for any other leg
+    static ladderLevel(leg) {
+        if (leg.length !== 3 || !leg.startsWith(ClientOrderId.LEG.TAKE_PROFIT)) return null;
+        const index = ClientOrderId.LADDER_LEVELS.indexOf(leg[2]);
+        return index === -1 ? null : index + 1;
+    }
+
+    // Returns null for IDs not generated by this scheme (manual orders, other tools)
+    static parse(clientOrderId) {
+        if (typeof clientOrderId !== 'string') return null;
+
+        const parts = clientOrderId.split('-');
+        if (parts.length !== 4) return null;
+
+        const [botId, symbol, tradeId, legPart] = parts;
+        const leg = LEG_PATTERN.exec(legPart);
+        if (!BOT_ID_PATTERN.test(botId) || !symbol || !tradeId || !leg) return null;
+
+        return {
+            botId,
+            symbol,
+            tradeId,
+            leg: leg[1],
+            revision: leg[2] ? parseInt(leg[2], 10) : 0
+        };
+    }
+}
+
+export default ClientOrderId;
@@ -0,0 +1,86 @@
+// Exchange-side dead-man's switch on top of countdownCancelAll. An armed symbol's countdown is
+// refreshed every heartbeatSeconds; if the bot dies, the exchange cancels all of the symbol's open
+// orders once countdownSeconds pass without a refresh. That would take TP/SL down as well - so
+// only symbols whose sole orders are resting entries may be armed, and a symbol is released
+// (countdown 0) before protection goes on. A failed release is retried on every heartbeat.
+class DeadMansSwitch {
+    constructor(client, { countdownSeconds, heartbeatSeconds }, logger) {
+        this.client = client;
+        this.countdownMs = countdownSeconds * 1000;
+        this.heartbeatMs = heartbeatSeconds * 1000;
+        this.logger = logger;
+        this.armed = new Set();
+        this.releasing = new Set(); // Release calls that failed - still counting down on the exchange
+        this.queue = Promise.resolve();
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.beat(), this.heartbeatMs);
+        this.timer.unref();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const symbol of Array.from(this.armed)) {
+            await this.release(symbol);
+        }
+    }
+
+    // Calls go out one at a time, so a heartbeat refresh can never land after a release
+    serialize(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Resolves false if the exchange didn't confirm - the entry then goes ahead unguarded, and the
+    // symbol is released in case the countdown did start
+    async arm(symbol) {
+        return this.serialize(async () => {
+            this.releasing.delete(symbol);
+            try {
+                await this.client.setCountdownCancelAll(symbol, this.countdownMs);
+            } catch (error) {
+                this.releasing.add(symbol);
+                this.logger.error(error.message, `${symbol} dead-man's switch arm failed`);
+                return false;
+            }
+            this.armed.add(symbol);
+            this.logger.debug(`⏲️ ${symbol} dead-man's switch armed (${this.countdownMs / 1000}s)`);
+            return true;
+        });
+    }
+
+    // Never throws - a release that didn't reach the exchange is retried until it does
+    async release(symbol) {
+        return this.serialize(() => this.sendRelease(symbol));
+    }
+
+    async sendRelease(symbol) {
+        if (!this.armed.delete(symbol) && !this.releasing.has(symbol)) return;
+        try {
+            await this.client.setCountdownCancelAll(symbol, 0);
+            this.releasing.delete(symbol);
+            this.logger.debug(`⏲️ ${symbol} dead-man's switch released`);
+        } catch (error) {
+            this.releasing.add(symbol);
+            this.logger.error(`${error.message} - retrying on the next heartbeat`, `${symbol} dead-man's switch release failed`);
+        }
+    }
+
+    async beat() {
+        return this.serialize(async () => {
+            for (const symbol of Array.from(this.releasing)) {
+                await this.sendRelease(symbol);
+            }
+            await Promise.all(Array.from(this.armed).map(symbol =>
+                this.client.setCountdownCancelAll(symbol, this.countdownMs).catch(error =>
+                    this.logger.error(error.message, `${symbol} dead-man's switch refresh failed`))));
+        });
+    }
+}
+
+export default DeadMansSwitch;
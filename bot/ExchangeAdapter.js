@@ -0,0 +1,186 @@
+// Contract between ScalpingBot and a trading venue (or simulator).
+// Adapters translate venue payloads into these normalized shapes so the trading
+// logic never reads venue-specific fields:
+//
+//   Candle      { time, open, high, low, close, volume }
+//   BookTicker  { symbol, bidPrice, bidQty, askPrice, askQty }
+//   SymbolRules { symbol, status, baseAsset, quoteAsset, tickSize, stepSize, minQty, maxQty,
+//                 minNotional, pricePrecision, quantityPrecision }
+//   Balance     { asset, walletBalance, availableBalance, marginBalance, unrealizedPnl }
+//   Position    { symbol, side: 'BUY'|'SELL', positionSide: 'BOTH'|'LONG'|'SHORT', quantity,
+//                 entryPrice, markPrice, unrealizedPnl, leverage, marginType }
+//   Order       { orderId, clientOrderId, symbol, side, positionSide, type, status, price, stopPrice,
+//                 avgPrice, origQty, executedQty, activationPrice, callbackRate, reduceOnly,
+//                 closePosition, workingType, updateTime }
+//                 (activationPrice/callbackRate: trailing stops, else null)
+//   OrderError  { code, msg } - returned in place of an Order by batch placements
+//
+// Order placement takes an optional clientOrderId (see ClientOrderId). Adapters must send
+// it to the venue and may use it to deduplicate resubmissions.
+// Position mode is 'ONE_WAY' (one netted position per symbol, positionSide BOTH) or 'HEDGE'
+// (separate LONG and SHORT positions). In hedge mode every order carries the positionSide it
+// opens or reduces.
+// Exit orders can only ever shrink a position: placeStopMarketOrder and every leg of
+// placeTP_SL_BatchOrders go out reduceOnly in one-way mode; in hedge mode the positionSide
+// already confines them (venues reject reduceOnly there).
+//
+// Streams are optional: create*Stream returns null when the venue has none and the
+// bot falls back to polling. Stream events use the same shapes:
+//   market: 'candleClosed' { symbol, candle }, getCandles(symbol) -> Candle[] | null
+//   user:   'orderUpdate' { ...Order fields, executionType, lastFilledQty, lastFilledPrice,
+//                          filledQty, commission, realizedPnl }
+//           'accountUpdate' { reason, balances: Balance[], positions: Position[] }
+//           'marginCall' { positions: Position[] }
+class ExchangeAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    notImplemented(method) {
+        throw new Error(`${method} must be implemented by exchange adapter ${this.name}`);
+    }
+
+    // === MARKET DATA ===
+    async getKlines(symbol, interval, limit) {
+        this.notImplemented('getKlines');
+    }
+
+    async getPrice(symbol) {
+        this.notImplemented('getPrice');
+    }
+
+    async getSymbolRules(symbol) {
+        this.notImplemented('getSymbolRules');
+    }
+
+    // Best bid / ask right now
+    async getBookTicker(symbol) {
+        this.notImplemented('getBookTicker');
+    }
+
+    // === ACCOUNT ===
+    async getAccountInfo() {
+        this.notImplemented('getAccountInfo');
+    }
+
+    async getOpenPositions() {
+        this.notImplemented('getOpenPositions');
+    }
+
+    async getOpenOrders(symbol = null) {
+        this.notImplemented('getOpenOrders');
+    }
+
+    async getOrder(symbol, orderId) {
+        this.notImplemented('getOrder');
+    }
+
+    // Resolves to the Order, or null if the venue doesn't know the ID
+    async getOrderByClientId(symbol, clientOrderId) {
+        this.notImplemented('getOrderByClientId');
+    }
+
+    async setLeverage(symbol, leverage) {
+        this.notImplemented('setLeverage');
+    }
+
+    async setMarginMode(symbol, marginType) {
+        this.notImplemented('setMarginMode');
+    }
+
+    // Resolves to 'ONE_WAY' or 'HEDGE'
+    async getPositionMode() {
+        return 'ONE_WAY';
+    }
+
+    // Account-wide; venues refuse to switch while positions or orders are open
+    async setPositionMode(mode) {
+        this.notImplemented('setPositionMode');
+    }
+
+    // === ORDERS ===
+    // options: { clientOrderId, positionSide } - positionSide only in hedge mode
+    // placeMarketOrder also takes reduceOnly (one-way mode only: the order can shrink a position, never open one)
+    async placeMarketOrder(symbol, side, quantity, options = {}) {
+        this.notImplemented('placeMarketOrder');
+    }
+
+    // placeLimitOrder also takes postOnly: GTX - rejected (-5022) instead of filling as taker
+    async placeLimitOrder(symbol, side, quantity, price, options = {}) {
+        this.notImplemented('placeLimitOrder');
+    }
+
+    // `side` is the order side (the opposite of the position it protects)
+    // options also take workingType: 'CONTRACT_PRICE' (last trade, default) or 'MARK_PRICE' triggers
+    async placeStopMarketOrder(symbol, side, quantity, stopPrice, options = {}) {
+        this.notImplemented('placeStopMarketOrder');
+    }
+
+    // Places TP and SL for an entry on `side`; resolves to [tpOrder|OrderError, slOrder|OrderError,
+    // ...ladderOrder|OrderError]
+    // options: { takeProfitClientOrderId, stopLossClientOrderId, positionSide, trailingStop, takeProfitLadder,
+    //            workingType }
+    // trailingStop { callbackRate (%), activationPrice|null } places a TRAILING_STOP_MARKET instead of
+    // the TAKE_PROFIT (takeProfitPrice is then ignored)
+    // takeProfitLadder [{ price, quantity, clientOrderId }] adds partial TAKE_PROFITs (at most 3); the
+    // TP/trailing leg then closes only what the ladder leaves, the SL still covers `quantity`
+    async placeTP_SL_BatchOrders(symbol, side, quantity, takeProfitPrice, stopLossPrice, options = {}) {
+        this.notImplemented('placeTP_SL_BatchOrders');
+    }
+
+    async cancelOrder(symbol, orderId) {
+        this.notImplemented('cancelOrder');
+    }
+
+    // Dead-man's switch: unless called again within `countdownMs`, the venue cancels every open
+    // order of the symbol. 0 disarms it.
+    async setCountdownCancelAll(symbol, countdownMs) {
+        this.notImplemented('setCountdownCancelAll');
+    }
+
+    // === CLOCK ===
+    // Venues that sign requests with timestamps keep a server clock offset
+    async syncTime() {
+        return this.getClockStatus();
+    }
+
+    getClockStatus() {
+        return { synced: true, offset: 0, drift: 0, healthy: true };
+    }
+
+    // === STREAMS ===
+    createMarketDataStream(options) {
+        return null;
+    }
+
+    createUserDataStream(options) {
+        return null;
+    }
+
+    // === PRECISION HELPERS ===
+    adjustPriceToTickSize(price, tickSize) {
+        const precision = Math.max(0, Math.ceil(-Math.log10(tickSize)));
+        const adjusted = Math.floor(price / tickSize) * tickSize;
+        return parseFloat(adjusted.toFixed(precision));
+    }
+
+    // quantity minus parts, all multiples of stepSize - without floating point residue
+    remainingQuantity(quantity, parts, stepSize) {
+        const steps = Math.round(quantity / stepSize) -
+            parts.reduce((sum, part) => sum + Math.round(part / stepSize), 0);
+        const precision = Math.max(0, Math.ceil(-Math.log10(stepSize)));
+        return parseFloat((steps * stepSize).toFixed(precision));
+    }
+
+    adjustQuantityToStepSize(quantity, stepSize) {
+        if (stepSize >= 1) {
+            return Math.floor(quantity / stepSize) * stepSize;
+        }
+
+        const precision = Math.max(0, Math.ceil(-Math.log10(stepSize)));
+        const adjusted = Math.ceil(quantity / stepSize) * stepSize;
+        return parseFloat(adjusted.toFixed(precision));
+    }
+}
+
+export default ExchangeAdapter;
@@ -0,0 +1,25 @@
+import BinanceClient from '#bot/BinanceClient';
+import PaperExchange from '#bot/PaperExchange';
+
+class ExchangeFactory {
+    static createExchange(exchangeName, config) {
+        const exchange = ExchangeFactory.createVenue(exchangeName);
+
+        // Paper mode keeps the venue for market data and simulates everything else
+        if (config.environment === 'paper') {
+            return new PaperExchange(exchange, config.paper);
+        }
+        return exchange;
+    }
+
+    static createVenue(exchangeName) {
+        switch (exchangeName) {
+            case 'binance':
+                return new BinanceClient();
+            default:
+                throw new Error(`Unknown exchange: ${exchangeName}`);
+        }
+    }
+}
+
+export default ExchangeFactory;
@@ -0,0 +1,172 @@
+import { EventEmitter } from 'events';
+import ReconnectingWebSocket from '#utils/ReconnectingWebSocket';
+import KlineInterval from '#utils/KlineInterval';
+
+// Keeps a rolling candle buffer per symbol fed by <symbol>@kline_<interval> streams.
+// REST is only used to seed the buffers and to backfill gaps after reconnects.
+class MarketDataStream extends EventEmitter {
+    constructor(client, options) {
+        super();
+        this.client = client;
+        this.websocketURL = options.websocketURL;
+        this.symbols = options.symbols;
+        this.interval = options.interval;
+        this.intervalMs = KlineInterval.toMs(options.interval);
+        this.bufferSize = options.bufferSize ?? 300;
+        this.staleAfter = options.staleAfterMs ?? 60000;
+
+        this.buffers = new Map();      // symbol -> candles (oldest first, last one may still be open)
+        this.lastUpdate = new Map();   // symbol -> timestamp of last kline message
+        this.backfilling = new Map();  // symbol -> in-flight backfill promise
+
+        this.socket = new ReconnectingWebSocket(this.buildStreamURL(), {
+            pingInterval: options.pingIntervalMs,
+            pongTimeout: options.pongTimeoutMs,
+            reconnectDelay: options.reconnectDelayMs,
+            maxReconnectDelay: options.maxReconnectDelayMs
+        });
+
+        this.socket.on('open', ({ reconnected }) => this.handleOpen(reconnected));
+        this.socket.on('message', message => this.handleMessage(message));
+        this.socket.on('close', ({ code }) => this.emit('disconnected', { code }));
+        this.socket.on('reconnecting', info => this.emit('reconnecting', info));
+        this.socket.on('error', error => this.emit('error', error));
+    }
+
+    buildStreamURL() {
+        const streams = this.symbols
+            .map(symbol => `${symbol.toLowerCase()}@kline_${this.interval}`)
+            .join('/');
+        return `${this.websocketURL}/stream?streams=${streams}`;
+    }
+
+    // === LIFECYCLE ===
+    async start() {
+        await Promise.allSettled(this.symbols.map(symbol => this.backfill(symbol)));
+        this.socket.connect();
+    }
+
+    stop() {
+        this.socket.close();
+        this.removeAllListeners();
+    }
+
+    handleOpen(reconnected) {
+        this.emit('connected', { reconnected });
+        if (!reconnected) return;
+
+        // Candles may have closed while we were disconnected
+        for (const symbol of this.symbols) {
+            this.backfill(symbol).catch(error => this.emit('error', error));
+        }
+    }
+
+    // === STREAM HANDLING ===
+    handleMessage(message) {
+        const event = message.data || message;
+        if (event.e !== 'kline') return;
+
+        const symbol = event.s;
+        const k = event.k;
+        const candle = {
+            time: k.t,
+            open: parseFloat(k.o),
+            high: parseFloat(k.h),
+            low: parseFloat(k.l),
+            close: parseFloat(k.c),
+            volume: parseFloat(k.v)
+        };
+
+        this.lastUpdate.set(symbol, Date.now());
+        const buffer = this.buffers.get(symbol);
+
+        if (!buffer || buffer.length === 0) {
+            this.backfill(symbol).catch(error => this.emit('error', error));
+            return;
+        }
+
+        const last = buffer[buffer.length - 1];
+
+        if (candle.time === last.time) {
+            buffer[buffer.length - 1] = candle;
+        } else if (candle.time > last.time) {
+            if (candle.time - last.time > this.intervalMs) {
+                this.emit('gap', { symbol, from: last.time, to: candle.time });
+                buffer.push(candle);
+                this.backfill(symbol).catch(error => this.emit('error', error));
+            } else {
+                buffer.push(candle);
+            }
+            this.trimBuffer(buffer);
+        }
+        // Older candles than the buffer head are ignored - REST data is authoritative
+
+        this.emit('candle', { symbol, candle });
+        if (k.x) {
+            this.emit('candleClosed', { symbol, candle });
+        }
+    }
+
+    trimBuffer(buffer) {
+        if (buffer.length > this.bufferSize) {
+            buffer.splice(0, buffer.length - this.bufferSize);
+        }
+    }
+
+    // === REST BACKFILL ===
+    backfill(symbol) {
+        // Collapse concurrent backfills for the same symbol
+        if (this.backfilling.has(symbol)) {
+            return this.backfilling.get(symbol);
+        }
+
+        const task = (async () => {
+            try {
+                const klines = await this.client.getKlines(symbol, this.interval, this.bufferSize);
+                const current = this.buffers.get(symbol) || [];
+                const lastRestTime = klines.length ? klines[klines.length - 1].time : 0;
+
+                // Keep any streamed candles that are newer than the REST snapshot
+                const newer = current.filter(c => c.time > lastRestTime);
+                const merged = klines.concat(newer);
+                this.trimBuffer(merged);
+
+                this.buffers.set(symbol, merged);
+                this.emit('backfilled', { symbol, count: klines.length });
+            } finally {
+                this.backfilling.delete(symbol);
+            }
+        })();
+
+        this.backfilling.set(symbol, task);
+        return task;
+    }
+
+    // === BUFFER ACCESS ===
+    isFresh(symbol) {
+        const last = this.lastUpdate.get(symbol);
+        return this.socket.isOpen && !!last && Date.now() - last < this.staleAfter;
+    }
+
+    // Returns a copy of the buffer, or null if the stream can't be trusted right now
+    getCandles(symbol) {
+        const buffer = this.buffers.get(symbol);
+        if (!buffer || buffer.length === 0) return null;
+        if (!this.isFresh(symbol)) return null;
+        if (this.backfilling.has(symbol)) return null;
+        return buffer.slice();
+    }
+
+    getStats() {
+        return {
+            connected: this.socket.isOpen,
+            symbols: this.symbols.map(symbol => ({
+                symbol,
+                candles: this.buffers.get(symbol)?.length || 0,
+                fresh: this.isFresh(symbol)
+            }))
+        };
+    }
+}
+
+export default MarketDataStream;
@@ -0,0 +1,481 @@
+import { EventEmitter } from 'events';
+import BinanceErrors from '#bot/BinanceErrors';
+
+const CONDITIONAL_TYPES = ['STOP', 'STOP_MARKET', 'TAKE_PROFIT', 'TAKE_PROFIT_MARKET'];
+const TERMINAL_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
+const MAX_CLOSED_ORDERS = 5000;
+
+// Local futures matching simulator (USDT margined, one-way or hedge position mode).
+// Keeps a virtual wallet, positions and resting orders, fills them against the prices
+// fed through updatePrice() and reports Binance error codes so callers behave as live.
+// Emits 'orderUpdate' and 'accountUpdate' with the same shapes as UserDataStream.
+class MatchingEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.asset = options.asset ?? 'USDT';
+        this.walletBalance = options.initialBalance ?? 10000;
+        this.takerFee = options.takerFee ?? 0.0005;
+        this.makerFee = options.makerFee ?? 0.0002;
+        this.slippage = (options.slippagePercent ?? 0) / 100;
+        this.defaultLeverage = options.defaultLeverage ?? 20;
+
+        this.prices = new Map();      // symbol -> last price
+        this.positions = new Map();   // symbol or symbol:LONG/SHORT -> { symbol, positionSide, amount (signed), entryPrice }
+        this.orders = new Map();      // orderId -> order
+        this.leverage = new Map();
+        this.marginTypes = new Map();
+        this.dualSidePosition = options.dualSidePosition ?? false;
+        this.countdowns = new Map();  // symbol -> countdownCancelAll timer
+        this.nextOrderId = 1;
+    }
+
+    static error(code, msg) {
+        return { code, msg, message: `Binance Error ${code}: ${msg}`, ...BinanceErrors.classify({ code }) };
+    }
+
+    // === ACCOUNT SETTINGS ===
+    setLeverage(symbol, leverage) {
+        this.leverage.set(symbol, leverage);
+        return { symbol, leverage };
+    }
+
+    setMarginType(symbol, marginType) {
+        if (this.marginTypes.get(symbol) === marginType) {
+            throw MatchingEngine.error(-4046, 'No need to change margin type.');
+        }
+        this.marginTypes.set(symbol, marginType);
+        return { code: 200, msg: 'success' };
+    }
+
+    getLeverage(symbol) {
+        return this.leverage.get(symbol) || this.defaultLeverage;
+    }
+
+    getPositionMode() {
+        return this.dualSidePosition ? 'HEDGE' : 'ONE_WAY';
+    }
+
+    setPositionMode(mode) {
+        const dual = mode === 'HEDGE';
+        if (dual === this.dualSidePosition) {
+            throw MatchingEngine.error(-4059, 'No need to change position side.');
+        }
+        if (this.getPositions().length > 0) {
+            throw MatchingEngine.error(-4068, 'Position side cannot be changed if there exists position.');
+        }
+        if (this.getOpenOrders().length > 0) {
+            throw MatchingEngine.error(-4067, 'Position side cannot be changed if there exists open orders.');
+        }
+        this.dualSidePosition = dual;
+        return { code: 200, msg: 'success' };
+    }
+
+    // === MARKET ===
+    getPrice(symbol) {
+        return this.prices.get(symbol);
+    }
+
+    updatePrice(symbol, price) {
+        this.prices.set(symbol, price);
+
+        const resting = Array.from(this.orders.values())
+            .filter(o => o.symbol === symbol && !TERMINAL_STATUSES.includes(o.status))
+            .sort((a, b) => a.orderId - b.orderId);
+
+        for (const order of resting) {
+            if (order.type === 'TRAILING_STOP_MARKET') {
+                if (this.trail(order, price)) this.fill(order, this.withSlippage(price, order.side), false);
+                continue;
+            }
+
+            if (CONDITIONAL_TYPES.includes(order.type) && !order.triggered) {
+                if (!this.isTriggered(order, price)) continue;
+                order.triggered = true;
+
+                if (order.type.endsWith('_MARKET')) {
+                    this.fill(order, this.withSlippage(price, order.side), false);
+                    continue;
+                }
+            }
+
+            // LIMIT orders and triggered STOP / TAKE_PROFIT limits
+            if (this.isMarketable(order, price)) {
+                this.fill(order, order.price, order.type === 'LIMIT');
+            }
+        }
+    }
+
+    isTriggered(order, price) {
+        const stopLike = order.type === 'STOP' || order.type === 'STOP_MARKET';
+        if (order.side === 'BUY') {
+            return stopLike ? price >= order.stopPrice : price <= order.stopPrice;
+        }
+        return stopLike ? price <= order.stopPrice : price >= order.stopPrice;
+    }
+
+    // Arms at activationPrice (or on placement without one), then follows the best price and
+    // triggers once price pulls back callbackRate percent from it
+    trail(order, price) {
+        if (order.trailExtreme === undefined) {
+            if (!this.isTrailActivated(order, price)) return false;
+            order.trailExtreme = price;
+        }
+        if (order.side === 'SELL') {
+            order.trailExtreme = Math.max(order.trailExtreme, price);
+            return price <= order.trailExtreme * (1 - order.callbackRate / 100);
+        }
+        order.trailExtreme = Math.min(order.trailExtreme, price);
+        return price >= order.trailExtreme * (1 + order.callbackRate / 100);
+    }
+
+    isTrailActivated(order, price) {
+        if (!order.activationPrice) return true;
+        return order.side === 'SELL' ? price >= order.activationPrice : price <= order.activationPrice;
+    }
+
+    isMarketable(order, price) {
+        return order.side === 'BUY' ? price <= order.price : price >= order.price;
+    }
+
+    withSlippage(price, side) {
+        return side === 'BUY' ? price * (1 + this.slippage) : price * (1 - this.slippage);
+    }
+
+    // === ORDERS ===
+    placeOrder(params) {
+        const { symbol, side, type } = params;
+        const lastPrice = this.prices.get(symbol);
+        if (!lastPrice) {
+            throw MatchingEngine.error(-1121, `No market price for ${symbol}`);
+        }
+
+        const order = {
+            orderId: this.nextOrderId++,
+            clientOrderId: params.clientOrderId || `sim_${Date.now()}_${this.nextOrderId}`,
+            symbol,
+            side,
+            positionSide: params.positionSide || 'BOTH',
+            type,
+            status: 'NEW',
+            price: parseFloat(params.price || 0),
+            stopPrice: parseFloat(params.stopPrice || 0),
+            avgPrice: 0,
+            origQty: parseFloat(params.quantity || 0),
+            executedQty: 0,
+            activationPrice: params.activationPrice ? parseFloat(params.activationPrice) : null,
+            callbackRate: params.callbackRate ? parseFloat(params.callbackRate) : null,
+            reduceOnly: String(params.reduceOnly).toLowerCase() === 'true',
+            closePosition: String(params.closePosition).toLowerCase() === 'true',
+            // One price feed here - mark and last trade are the same price
+            workingType: params.workingType || 'CONTRACT_PRICE',
+            timeInForce: params.timeInForce || 'GTC',
+            updateTime: Date.now()
+        };
+
+        if (params.clientOrderId && this.findOpenByClientId(symbol, params.clientOrderId)) {
+            throw MatchingEngine.error(-4116, 'ClientOrderId is duplicated.');
+        }
+
+        if ((order.positionSide === 'BOTH') === this.dualSidePosition) {
+            throw MatchingEngine.error(-4061, "Order's position side does not match user's setting.");
+        }
+        if (this.dualSidePosition && order.reduceOnly) {
+            throw MatchingEngine.error(-1106, "Parameter 'reduceOnly' sent when not required.");
+        }
+
+        if (!order.closePosition && !(order.origQty > 0)) {
+            throw MatchingEngine.error(-4003, 'Quantity less than or equal to zero.');
+        }
+
+        if (CONDITIONAL_TYPES.includes(type)) {
+            if (this.isTriggered(order, lastPrice)) {
+                throw MatchingEngine.error(-2021, 'Order would immediately trigger.');
+            }
+            this.rest(order);
+        } else if (type === 'TRAILING_STOP_MARKET') {
+            if (!(order.callbackRate >= 0.1 && order.callbackRate <= 10)) {
+                throw MatchingEngine.error(-1130, "Data sent for parameter 'callbackRate' is not valid.");
+            }
+            if (order.activationPrice && this.isTrailActivated(order, lastPrice)) {
+                throw MatchingEngine.error(-2021, 'Order would immediately trigger.');
+            }
+            if (!order.activationPrice) order.trailExtreme = lastPrice;
+            this.rest(order);
+        } else if (type === 'MARKET') {
+            this.checkMargin(order, lastPrice);
+            this.orders.set(order.orderId, order);
+            this.fill(order, this.withSlippage(lastPrice, side), false);
+        } else if (type === 'LIMIT') {
+            const marketable = this.isMarketable(order, lastPrice);
+            if (marketable && order.timeInForce === 'GTX') {
+                throw MatchingEngine.error(-5022, 'Due to the order could not be executed as maker, the Post Only order will be rejected.');
+            }
+            this.checkMargin(order, order.price);
+            if (marketable) {
+                this.orders.set(order.orderId, order);
+                this.fill(order, lastPrice, false);
+            } else {
+                this.rest(order);
+            }
+        } else {
+            throw MatchingEngine.error(-1116, `Invalid orderType ${type}.`);
+        }
+
+        this.pruneClosedOrders();
+        return this.snapshot(order);
+    }
+
+    rest(order) {
+        this.orders.set(order.orderId, order);
+        this.emitOrderUpdate(order, 'NEW');
+    }
+
+    cancelOrder(symbol, orderId) {
+        const order = this.orders.get(Number(orderId));
+        if (!order || order.symbol !== symbol || TERMINAL_STATUSES.includes(order.status)) {
+            throw MatchingEngine.error(-2011, 'Unknown order sent.');
+        }
+        order.status = 'CANCELED';
+        order.updateTime = Date.now();
+        this.emitOrderUpdate(order, 'CANCELED');
+        return this.snapshot(order);
+    }
+
+    cancelAllOrders(symbol) {
+        const open = Array.from(this.orders.values())
+            .filter(o => o.symbol === symbol && !TERMINAL_STATUSES.includes(o.status));
+        open.forEach(o => this.cancelOrder(symbol, o.orderId));
+        return open.length;
+    }
+
+    // countdownCancelAll: every open order of the symbol is cancelled unless the countdown is
+    // refreshed within countdownTime ms; 0 disarms it
+    setCountdownCancelAll(symbol, countdownTime) {
+        clearTimeout(this.countdowns.get(symbol));
+        this.countdowns.delete(symbol);
+
+        if (countdownTime > 0) {
+            const timer = setTimeout(() => {
+                this.countdowns.delete(symbol);
+                this.cancelAllOrders(symbol);
+            }, countdownTime);
+            timer.unref();
+            this.countdowns.set(symbol, timer);
+        }
+        return { symbol, countdownTime: String(countdownTime) };
+    }
+
+    getOrder(symbol, orderId) {
+        const order = this.orders.get(Number(orderId));
+        if (!order || order.symbol !== symbol) {
+            throw MatchingEngine.error(-2013, 'Order does not exist.');
+        }
+        return this.snapshot(order);
+    }
+
+    // Latest order with this clientOrderId (IDs are only unique among open orders)
+    getOrderByClientId(symbol, clientOrderId) {
+        const order = Array.from(this.orders.values())
+            .reverse()
+            .find(o => o.symbol === symbol && o.clientOrderId === clientOrderId);
+        if (!order) {
+            throw MatchingEngine.error(-2013, 'Order does not exist.');
+        }
+        return this.snapshot(order);
+    }
+
+    findOpenByClientId(symbol, clientOrderId) {
+        return Array.from(this.orders.values()).find(o =>
+            o.symbol === symbol && o.clientOrderId === clientOrderId && !TERMINAL_STATUSES.includes(o.status));
+    }
+
+    getOpenOrders(symbol = null) {
+        return Array.from(this.orders.values())
+            .filter(o => !TERMINAL_STATUSES.includes(o.status) && (!symbol || o.symbol === symbol))
+            .map(o => this.snapshot(o));
+    }
+
+    snapshot(order) {
+        const { triggered, trailExtreme, ...copy } = order;
+        return copy;
+    }
+
+    pruneClosedOrders() {
+        const closed = Array.from(this.orders.values()).filter(o => TERMINAL_STATUSES.includes(o.status));
+        const excess = closed.length - MAX_CLOSED_ORDERS;
+        for (let i = 0; i < excess; i++) {
+            this.orders.delete(closed[i].orderId);
+        }
+    }
+
+    // === FILLS ===
+    checkMargin(order, price) {
+        const increase = this.increasingQuantity(order, order.origQty);
+        if (increase <= 0 || order.reduceOnly) return;
+
+        const required = (increase * price) / this.getLeverage(order.symbol) + increase * price * this.takerFee;
+        if (required > this.getAccount().availableBalance) {
+            throw MatchingEngine.error(-2019, 'Margin is insufficient.');
+        }
+    }
+
+    // Part of a fill that adds exposure instead of reducing the current position
+    increasingQuantity(order, quantity) {
+        if (order.positionSide !== 'BOTH') {
+            return this.isHedgeClose(order) ? 0 : quantity;
+        }
+        const amount = this.getPosition(order.symbol, order.positionSide).amount;
+        const signed = order.side === 'BUY' ? quantity : -quantity;
+        if (amount === 0 || Math.sign(amount) === Math.sign(signed)) return quantity;
+        return Math.max(0, quantity - Math.abs(amount));
+    }
+
+    // Hedge mode: SELL reduces LONG and BUY reduces SHORT - never past zero
+    isHedgeClose(order) {
+        return (order.positionSide === 'LONG') === (order.side === 'SELL');
+    }
+
+    positionKey(symbol, positionSide = 'BOTH') {
+        return positionSide === 'BOTH' ? symbol : `${symbol}:${positionSide}`;
+    }
+
+    getPosition(symbol, positionSide = 'BOTH') {
+        return this.positions.get(this.positionKey(symbol, positionSide)) ||
+            { symbol, positionSide, amount: 0, entryPrice: 0 };
+    }
+
+    fill(order, price, isMaker) {
+        const position = this.getPosition(order.symbol, order.positionSide);
+        const hedged = order.positionSide !== 'BOTH';
+        const closing = hedged
+            ? this.isHedgeClose(order)
+            : position.amount !== 0 && (order.side === 'BUY') !== (position.amount > 0);
+
+        let quantity = order.origQty - order.executedQty;
+        if (order.closePosition) {
+            quantity = closing ? Math.abs(position.amount) : 0;
+        } else if (order.reduceOnly || (hedged && closing)) {
+            quantity = closing ? Math.min(quantity, Math.abs(position.amount)) : 0;
+        }
+
+        if (quantity <= 0) {
+            // Nothing left to reduce - Binance expires reduce-only / closePosition orders
+            order.status = 'EXPIRED';
+            order.updateTime = Date.now();
+            this.emitOrderUpdate(order, 'EXPIRED');
+            return;
+        }
+
+        const realizedPnl = this.applyFill(order.symbol, order.side, quantity, price, order.positionSide);
+        const commission = quantity * price * (isMaker ? this.makerFee : this.takerFee);
+        this.walletBalance += realizedPnl - commission;
+
+        order.avgPrice = price;
+        order.executedQty += quantity;
+        if (order.closePosition) order.origQty = order.executedQty;
+        order.status = 'FILLED';
+        order.updateTime = Date.now();
+
+        this.emitOrderUpdate(order, 'TRADE', {
+            lastFilledQty: quantity,
+            lastFilledPrice: price,
+            commission,
+            realizedPnl,
+            isMaker
+        });
+        this.emit('accountUpdate', {
+            eventTime: Date.now(),
+            reason: 'ORDER',
+            balances: [{ asset: this.asset, walletBalance: this.walletBalance, crossWalletBalance: this.walletBalance, balanceChange: 0 }],
+            positions: [this.positionSnapshot(order.symbol, order.positionSide)]
+        });
+    }
+
+    // Updates the position and returns the PnL realized by the reducing part of the fill
+    applyFill(symbol, side, quantity, price, positionSide = 'BOTH') {
+        const position = this.getPosition(symbol, positionSide);
+        const signed = side === 'BUY' ? quantity : -quantity;
+        let realizedPnl = 0;
+
+        if (position.amount === 0 || Math.sign(position.amount) === Math.sign(signed)) {
+            const newAmount = position.amount + signed;
+            position.entryPrice = (Math.abs(position.amount) * position.entryPrice + quantity * price) / Math.abs(newAmount);
+            position.amount = newAmount;
+        } else {
+            const closedQty = Math.min(quantity, Math.abs(position.amount));
+            realizedPnl = (price - position.entryPrice) * closedQty * Math.sign(position.amount);
+            position.amount += signed;
+
+            if (Math.abs(position.amount) < 1e-12) {
+                position.amount = 0;
+                position.entryPrice = 0;
+            } else if (Math.sign(position.amount) === Math.sign(signed)) {
+                // Flipped through zero - the remainder opens at the fill price
+                position.entryPrice = price;
+            }
+        }
+
+        this.positions.set(this.positionKey(symbol, positionSide), position);
+        return realizedPnl;
+    }
+
+    emitOrderUpdate(order, executionType, trade = {}) {
+        this.emit('orderUpdate', {
+            eventTime: Date.now(),
+            ...this.snapshot(order),
+            executionType,
+            lastFilledQty: trade.lastFilledQty || 0,
+            lastFilledPrice: trade.lastFilledPrice || 0,
+            filledQty: order.executedQty,
+            commission: trade.commission || 0,
+            commissionAsset: this.asset,
+            realizedPnl: trade.realizedPnl || 0,
+            isMaker: trade.isMaker || false,
+            tradeTime: Date.now()
+        });
+    }
+
+    // === POSITIONS & ACCOUNT ===
+    positionSnapshot(symbol, positionSide = 'BOTH') {
+        const position = this.getPosition(symbol, positionSide);
+        const markPrice = this.prices.get(symbol) || position.entryPrice;
+        return {
+            symbol,
+            side: position.amount > 0 ? 'BUY' : position.amount < 0 ? 'SELL' : null,
+            positionSide,
+            quantity: Math.abs(position.amount),
+            amount: position.amount,
+            entryPrice: position.entryPrice,
+            markPrice,
+            unrealizedPnl: (markPrice - position.entryPrice) * position.amount,
+            leverage: this.getLeverage(symbol),
+            marginType: (this.marginTypes.get(symbol) || 'CROSSED').toLowerCase()
+        };
+    }
+
+    getPositions() {
+        return Array.from(this.positions.values())
+            .map(({ symbol, positionSide }) => this.positionSnapshot(symbol, positionSide))
+            .filter(p => p.quantity > 0);
+    }
+
+    getAccount() {
+        let unrealizedPnl = 0;
+        let positionMargin = 0;
+
+        for (const p of this.getPositions()) {
+            unrealizedPnl += p.unrealizedPnl;
+            positionMargin += (p.quantity * p.entryPrice) / p.leverage;
+        }
+
+        return {
+            asset: this.asset,
+            walletBalance: this.walletBalance,
+            availableBalance: this.walletBalance + unrealizedPnl - positionMargin,
+            marginBalance: this.walletBalance + unrealizedPnl,
+            unrealizedPnl
+        };
+    }
+}
+
+export default MatchingEngine;
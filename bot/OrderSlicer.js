@@ -0,0 +1,95 @@
+// TWAP / iceberg execution for orders larger than the market shows it can absorb.
+// A child order is capped at maxVolumePercent of the average candle volume (last volumeCandles of
+// the strategy timeframe) and at maxBookPercent of the size resting at the touch it takes; children
+// go out intervalSeconds apart. maxSlices caps the count - past it the children grow, the whole order
+// is always sent. Children are LOT_SIZE multiples and never below minQty / minNotional at `price`.
+class OrderSlicer {
+    constructor(quantity, { rules, settings, candles = [], touchQuantity = 0, price = 0 }) {
+        this.quantity = quantity;
+        this.rules = rules;
+        this.price = price;
+        this.settings = settings;
+        this.maxChildQuantity = settings.enabled ? this.childLimit(candles, touchQuantity) : Infinity;
+        this.children = this.plan(quantity);
+    }
+
+    childLimit(candles, touchQuantity) {
+        const { maxVolumePercent, volumeCandles, maxBookPercent } = this.settings;
+        const limits = [];
+
+        const recent = candles.slice(-volumeCandles);
+        if (maxVolumePercent > 0 && recent.length > 0) {
+            const averageVolume = recent.reduce((sum, candle) => sum + candle.volume, 0) / recent.length;
+            limits.push(averageVolume * maxVolumePercent / 100);
+        }
+        if (maxBookPercent > 0 && touchQuantity > 0) {
+            limits.push(touchQuantity * maxBookPercent / 100);
+        }
+        return limits.length > 0 ? Math.min(...limits) : Infinity;
+    }
+
+    // Child quantities adding up to exactly `quantity`, as even as the step size allows
+    plan(quantity) {
+        const { stepSize, minQty, minNotional = 0 } = this.rules;
+        const totalSteps = Math.round(quantity / stepSize);
+        const minSteps = Math.max(
+            1,
+            Math.round(minQty / stepSize),
+            this.price > 0 ? Math.ceil(minNotional / this.price / stepSize) : 0
+        );
+
+        const wanted = Math.ceil(quantity / this.maxChildQuantity);
+        const count = Math.max(1, Math.min(wanted, this.settings.maxSlices || 1, Math.floor(totalSteps / minSteps)));
+        const base = Math.floor(totalSteps / count);
+        const extra = totalSteps - base * count;
+
+        return Array.from({ length: count }, (_, i) => this.toQuantity(base + (i < extra ? 1 : 0)));
+    }
+
+    toQuantity(steps) {
+        const precision = Math.max(0, Math.ceil(-Math.log10(this.rules.stepSize)));
+        return parseFloat((steps * this.rules.stepSize).toFixed(precision));
+    }
+
+    // Sends `children` one at a time. placeChild(quantity, index) resolves the child's final order;
+    // onFill(order, index, totals) runs after every child that filled anything. The first child that
+    // fills nothing, or any error, stops the run - the result says how far it got.
+    async execute(children, placeChild, onFill = async () => {}) {
+        const fills = [];
+        let steps = 0;
+        let notional = 0;
+        let error = null;
+
+        for (let index = 0; index < children.length; index++) {
+            if (index > 0) await this.sleep(this.settings.intervalSeconds * 1000);
+            try {
+                const order = await placeChild(children[index], index);
+                if (!(order?.executedQty > 0)) break;
+
+                fills.push(order);
+                steps += Math.round(order.executedQty / this.rules.stepSize);
+                notional += order.executedQty * order.avgPrice;
+                const executedQty = this.toQuantity(steps);
+                await onFill(order, index, { executedQty, avgPrice: notional / executedQty });
+            } catch (childError) {
+                error = childError;
+                break;
+            }
+        }
+
+        const executedQty = this.toQuantity(steps);
+        return {
+            fills,
+            executedQty,
+            avgPrice: executedQty > 0 ? notional / executedQty : 0,
+            complete: fills.length === children.length,
+            error
+        };
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+export default OrderSlicer;
@@ -0,0 +1,281 @@
+import { EventEmitter } from 'events';
+import ExchangeAdapter from '#bot/ExchangeAdapter';
+import MatchingEngine from '#bot/MatchingEngine';
+
+// Stand-in for the listenKey stream: forwards simulated fills as user data events
+class PaperUserDataStream extends EventEmitter {
+    constructor(engine) {
+        super();
+        this.engine = engine;
+        this.isConnected = false;
+        this.forwarders = {
+            orderUpdate: update => this.emit('orderUpdate', update),
+            accountUpdate: update => this.emit('accountUpdate', update)
+        };
+    }
+
+    async start() {
+        this.engine.on('orderUpdate', this.forwarders.orderUpdate);
+        this.engine.on('accountUpdate', this.forwarders.accountUpdate);
+        this.isConnected = true;
+        this.emit('connected', { reconnected: false });
+    }
+
+    async stop() {
+        this.engine.off('orderUpdate', this.forwarders.orderUpdate);
+        this.engine.off('accountUpdate', this.forwarders.accountUpdate);
+        this.isConnected = false;
+        this.removeAllListeners();
+    }
+}
+
+// Paper trading: live public market data from `market`, orders and account from a local simulator
+class PaperExchange extends ExchangeAdapter {
+    constructor(market, options = {}) {
+        super(`paper:${market.name}`);
+        this.market = market;
+        this.engine = new MatchingEngine(options);
+        this.priceRefreshMs = options.priceRefreshMs ?? 1000;
+        this.priceUpdatedAt = new Map();
+        this.priceTimer = null;
+    }
+
+    // === MARKET DATA (live) ===
+    async getKlines(symbol, interval, limit) {
+        return this.market.getKlines(symbol, interval, limit);
+    }
+
+    async getPrice(symbol) {
+        const price = await this.market.getPrice(symbol);
+        this.onPrice(symbol, price);
+        return price;
+    }
+
+    async getSymbolRules(symbol) {
+        return this.market.getSymbolRules(symbol);
+    }
+
+    async getBookTicker(symbol) {
+        const book = await this.market.getBookTicker(symbol);
+        // Mid as the matching price, so a post-only order at the bid / ask rests like it would live
+        this.onPrice(symbol, (book.bidPrice + book.askPrice) / 2);
+        return book;
+    }
+
+    createMarketDataStream(options) {
+        const stream = this.market.createMarketDataStream(options);
+        // Every streamed tick doubles as a matching tick for resting paper orders
+        stream?.on('candle', ({ symbol, candle }) => this.onPrice(symbol, candle.close));
+        return stream;
+    }
+
+    createUserDataStream() {
+        return new PaperUserDataStream(this.engine);
+    }
+
+    // === PRICE FEED ===
+    onPrice(symbol, price) {
+        this.priceUpdatedAt.set(symbol, Date.now());
+        this.engine.updatePrice(symbol, price);
+    }
+
+    async refreshPrice(symbol) {
+        const updatedAt = this.priceUpdatedAt.get(symbol) || 0;
+        if (Date.now() - updatedAt < this.priceRefreshMs) return;
+        await this.getPrice(symbol);
+    }
+
+    activeSymbols() {
+        const symbols = new Set(this.engine.getPositions().map(p => p.symbol));
+        this.engine.getOpenOrders().forEach(o => symbols.add(o.symbol));
+        return symbols;
+    }
+
+    async refreshActivePrices() {
+        await Promise.allSettled(Array.from(this.activeSymbols()).map(symbol => this.refreshPrice(symbol)));
+    }
+
+    // Poll prices while anything is open so resting orders trigger even without a kline stream
+    ensurePriceFeed() {
+        if (this.priceTimer) return;
+
+        this.priceTimer = setInterval(async () => {
+            if (this.activeSymbols().size === 0) {
+                clearInterval(this.priceTimer);
+                this.priceTimer = null;
+                return;
+            }
+            await this.refreshActivePrices();
+        }, this.priceRefreshMs);
+        this.priceTimer.unref();
+    }
+
+    // === ACCOUNT (simulated) ===
+    async getAccountInfo() {
+        await this.refreshActivePrices();
+        return this.engine.getAccount();
+    }
+
+    async getOpenPositions() {
+        await this.refreshActivePrices();
+        return this.engine.getPositions().map(({ amount, ...position }) => position);
+    }
+
+    async getOpenOrders(symbol = null) {
+        await this.refreshActivePrices();
+        return this.engine.getOpenOrders(symbol);
+    }
+
+    async getOrder(symbol, orderId) {
+        await this.refreshPrice(symbol);
+        return this.engine.getOrder(symbol, orderId);
+    }
+
+    async getOrderByClientId(symbol, clientOrderId) {
+        await this.refreshPrice(symbol);
+        try {
+            return this.engine.getOrderByClientId(symbol, clientOrderId);
+        } catch (error) {
+            if (error.code === -2013) return null;
+            throw error;
+        }
+    }
+
+    async setLeverage(symbol, leverage) {
+        return this.engine.setLeverage(symbol, leverage);
+    }
+
+    async setMarginMode(symbol, marginType = 'ISOLATED') {
+        try {
+            return this.engine.setMarginType(symbol, marginType.toUpperCase());
+        } catch (error) {
+            if (error.code === -4046) return { alreadySet: true };
+            throw error;
+        }
+    }
+
+    async getPositionMode() {
+        return this.engine.getPositionMode();
+    }
+
+    async setPositionMode(mode) {
+        try {
+            return this.engine.setPositionMode(mode);
+        } catch (error) {
+            if (error.code === -4059) return { alreadySet: true };
+            throw error;
+        }
+    }
+
+    // === ORDERS (simulated) ===
+    async submit(params) {
+        await this.refreshPrice(params.symbol);
+        const order = this.engine.placeOrder(params);
+        this.ensurePriceFeed();
+        return order;
+    }
+
+    async placeMarketOrder(symbol, side, quantity, options = {}) {
+        return this.submit({
+            symbol,
+            side: side.toUpperCase(),
+            type: 'MARKET',
+            quantity,
+            clientOrderId: options.clientOrderId,
+            positionSide: options.positionSide,
+            reduceOnly: options.reduceOnly
+        });
+    }
+
+    async placeLimitOrder(symbol, side, quantity, price, options = {}) {
+        const rules = await this.getSymbolRules(symbol);
+        return this.submit({
+            symbol,
+            side: side.toUpperCase(),
+            type: 'LIMIT',
+            quantity,
+            price: this.adjustPriceToTickSize(price, rules.tickSize),
+            timeInForce: options.postOnly ? 'GTX' : 'GTC',
+            clientOrderId: options.clientOrderId,
+            positionSide: options.positionSide
+        });
+    }
+
+    async placeStopMarketOrder(symbol, side, quantity, stopPrice, options = {}) {
+        const rules = await this.getSymbolRules(symbol);
+        return this.submit({
+            symbol,
+            side: side.toUpperCase(),
+            type: 'STOP_MARKET',
+            quantity,
+            stopPrice: this.adjustPriceToTickSize(stopPrice, rules.tickSize),
+            workingType: options.workingType,
+            clientOrderId: options.clientOrderId,
+            ...this.exitParams(options.positionSide)
+        });
+    }
+
+    // Same rule as the venue: reduceOnly in one-way mode, the positionSide alone in hedge mode
+    exitParams(positionSide) {
+        return positionSide ? { positionSide } : { reduceOnly: true };
+    }
+
+    async placeTP_SL_BatchOrders(symbol, side, quantity, takeProfitPrice, stopLossPrice, options = {}) {
+        const rules = await this.getSymbolRules(symbol);
+        const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
+        const takeProfit = this.adjustPriceToTickSize(takeProfitPrice, rules.tickSize);
+        const stopLoss = this.adjustPriceToTickSize(stopLossPrice, rules.tickSize);
+
+        const exitLeg = options.trailingStop
+            ? {
+                type: 'TRAILING_STOP_MARKET',
+                callbackRate: options.trailingStop.callbackRate,
+                activationPrice: options.trailingStop.activationPrice &&
+                    this.adjustPriceToTickSize(options.trailingStop.activationPrice, rules.tickSize)
+            }
+            : { type: 'TAKE_PROFIT', price: takeProfit, stopPrice: takeProfit };
+
+        const ladder = options.takeProfitLadder || [];
+        const exitQuantity = this.remainingQuantity(quantity, ladder.map(l => l.quantity), rules.stepSize);
+
+        const exit = { workingType: options.workingType, ...this.exitParams(options.positionSide) };
+        const legs = [
+            {
+                symbol, side: closeSide, quantity: exitQuantity, ...exitLeg,
+                clientOrderId: options.takeProfitClientOrderId, ...exit
+            },
+            {
+                symbol, side: closeSide, type: 'STOP_MARKET', quantity, stopPrice: stopLoss,
+                clientOrderId: options.stopLossClientOrderId, ...exit
+            },
+            ...ladder.map(level => {
+                const price = this.adjustPriceToTickSize(level.price, rules.tickSize);
+                return {
+                    symbol, side: closeSide, type: 'TAKE_PROFIT', quantity: level.quantity, price, stopPrice: price,
+                    clientOrderId: level.clientOrderId, ...exit
+                };
+            })
+        ];
+
+        // Same contract as the batch endpoint: a failed leg becomes { code, msg }
+        const results = [];
+        for (const leg of legs) {
+            try {
+                results.push(await this.submit(leg));
+            } catch (error) {
+                results.push({ code: error.code, msg: error.msg || error.message });
+            }
+        }
+        return results;
+    }
+
+    async cancelOrder(symbol, orderId) {
+        return this.engine.cancelOrder(symbol, orderId);
+    }
+
+    async setCountdownCancelAll(symbol, countdownMs) {
+        return this.engine.setCountdownCancelAll(symbol, countdownMs);
+    }
+}
+
+export default PaperExchange;
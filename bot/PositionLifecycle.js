@@ -0,0 +1,100 @@
+import { EventEmitter } from 'events';
+
+// Lifecycle of a tracked position:
+//   PENDING_ENTRY -> FILLED -> PROTECTED -> CLOSING -> CLOSED
+// with FAILED (entry or protection could not be completed, the position is unwound) and
+// REPAIRING (protection lost and being re-placed) branches.
+// The state lives on the position itself (position.state, position.stateHistory). Every change
+// goes through transition(), which checks it against TRANSITIONS and the state's requirements,
+// timestamps it and emits 'transition' { position, from, to, reason, at }. A move that is not
+// allowed, or a position that doesn't meet what the state requires (e.g. PROTECTED without an
+// entry fill), is not applied and is emitted as 'violation' { position, from, to, reason, problem }.
+const STATE = {
+    PENDING_ENTRY: 'PENDING_ENTRY',
+    FILLED: 'FILLED',
+    PROTECTED: 'PROTECTED',
+    CLOSING: 'CLOSING',
+    CLOSED: 'CLOSED',
+    FAILED: 'FAILED',
+    REPAIRING: 'REPAIRING'
+};
+
+const TRANSITIONS = {
+    [STATE.PENDING_ENTRY]: [STATE.FILLED, STATE.FAILED],
+    [STATE.FILLED]: [STATE.PROTECTED, STATE.REPAIRING, STATE.FAILED],
+    [STATE.PROTECTED]: [STATE.CLOSING, STATE.REPAIRING, STATE.CLOSED],
+    [STATE.REPAIRING]: [STATE.PROTECTED, STATE.FAILED, STATE.CLOSED],
+    [STATE.CLOSING]: [STATE.CLOSED, STATE.REPAIRING],
+    [STATE.FAILED]: [STATE.CLOSED],
+    [STATE.CLOSED]: []
+};
+
+// Recovered and adopted positions are already filled when the bot first sees them
+const INITIAL_STATES = [STATE.PENDING_ENTRY, STATE.FILLED];
+
+class PositionLifecycle extends EventEmitter {
+    static STATE = STATE;
+    static TRANSITIONS = TRANSITIONS;
+
+    // States in which the exchange position is open and tracked in ScalpingBot.positions
+    static LIVE_STATES = [STATE.PROTECTED, STATE.REPAIRING, STATE.CLOSING];
+
+    // What a position must carry to be in `state` - null when it does
+    static requirementProblem(position, state) {
+        const filled = position.entryPrice > 0 && position.quantity > 0;
+        switch (state) {
+            case STATE.FILLED:
+            case STATE.REPAIRING:
+            case STATE.CLOSING:
+                return filled ? null : 'no entry fill';
+            case STATE.PROTECTED:
+                if (!filled) return 'no entry fill';
+                return position.slOrderId ? null : 'no stop-loss order';
+            default:
+                return null;
+        }
+    }
+
+    begin(position, state = STATE.PENDING_ENTRY, reason = 'opened') {
+        if (!INITIAL_STATES.includes(state)) {
+            return this.violation(position, null, state, reason, `cannot start in ${state}`);
+        }
+        position.stateHistory = [];
+        return this.apply(position, null, state, reason);
+    }
+
+    transition(position, to, reason = '') {
+        const from = position.state;
+        if (from === to) return true;
+
+        if (!from) {
+            return this.violation(position, from, to, reason, 'position has no lifecycle state');
+        }
+        if (!TRANSITIONS[from].includes(to)) {
+            return this.violation(position, from, to, reason, `illegal transition ${from} -> ${to}`);
+        }
+        return this.apply(position, from, to, reason);
+    }
+
+    is(position, ...states) {
+        return states.includes(position.state);
+    }
+
+    apply(position, from, to, reason) {
+        const problem = PositionLifecycle.requirementProblem(position, to);
+        if (problem) return this.violation(position, from, to, reason, problem);
+
+        const at = Date.now();
+        position.state = to;
+        position.stateHistory.push({ state: to, at, reason });
+        this.emit('transition', { position, from, to, reason, at });
+        return true;
+    }
+
+    violation(position, from, to, reason, problem) {
+        this.emit('violation', { position, from, to, reason, problem });
+        return false;
+    }
+}
+
+export default PositionLifecycle;
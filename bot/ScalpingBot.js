@@ -1,11 +1,22 @@
-import BinanceClient from '#bot/BinanceClient';
+import BinanceErrors from '#bot/BinanceErrors';
+import ClientOrderId from '#bot/ClientOrderId';
+import DeadMansSwitch from '#bot/DeadMansSwitch';
+import ExchangeFactory from '#bot/ExchangeFactory';
+import OrderSlicer from '#bot/OrderSlicer';
+import PositionLifecycle from '#bot/PositionLifecycle';
 import StrategyFactory from '#strategies/StrategyFactory';
 import Logger from '#utils/Logger';
+import StateStore from '#utils/StateStore';
 import config from '#config';
 
+const { STATE } = PositionLifecycle;
+
+// What a restart can't read back from the exchange - restored from the shutdown snapshot
+const RESTORED_FIELDS = ['initialRisk', 'entryFill', 'slippage', 'stopReanchored'];
+
 class ScalpingBot {
     constructor() {
-        this.client = new BinanceClient();
+        this.client = ExchangeFactory.createExchange(config.exchange, config);
         this.strategy = StrategyFactory.createStrategy(config.strategy.name, config);
         this.logger = new Logger();
         this.isRunning = false;
@@ -14,9 +25,24 @@ class ScalpingBot {
         this.cooldowns = new Map();
         this.pendingOperations = new Map();
         this.safetyConfig = config.getSafetyConfig();
+        this.marketData = null;
+        this.userData = null;
+        this.orderFills = new Map(); // orderId -> accumulated commission / realized PnL from stream trades
+        this.cancelingOrders = new Set(); // orderIds the bot is cancelling itself - not a lost protection
+        this.lifecycle = new PositionLifecycle();
+        this.clockHealthy = true;
+        this.hedgeMode = false; // Set from the account's position mode in initialize()
+        this.shutdownMode = null; // Set by stop() - see config.shutdown
+        this.stopping = null; // The running shutdown - later stop() calls wait for it
+        this.inFlight = new Set(); // Trading / monitoring cycles still running - stop() drains them
+        this.ignoredPositions = new Set(); // Position keys of foreign positions left alone (logged once)
+        this.stateStore = new StateStore(config.shutdown.stateFile);
+        this.heartbeatStore = new StateStore(config.watchdog.heartbeatFile);
+        this.deadMansSwitch = config.deadMansSwitch.enabled
+            ? new DeadMansSwitch(this.client, config.deadMansSwitch, this.logger)
+            : null;
 
         // Constants for better readability
-        this.FLOATING_POINT_TOLERANCE = 0.001;
         this.TRADING_CYCLE_INTERVAL = 10000;
         this.MONITORING_INTERVAL = 3000;
         this.ORDER_FILL_TIMEOUT = 10000;
@@ -30,6 +56,7 @@ class ScalpingBot {
             data: [],
             timestamp: 0,
             symbolSet: new Set(),
+            positionKeys: new Set(),
             maxAge: 5000 // 5 seconds
         };
 
@@ -41,32 +68,121 @@ class ScalpingBot {
         return `analysis_${symbol}`;
     }
 
-    getTradeLockKey(symbol) {
-        return `trade_${symbol}`;
+    getTradeLockKey(symbol, side = null) {
+        return `trade_${this.positionKey(symbol, side)}`;
     }
 
     // === ID MANAGEMENT ===
-    generatePositionId(symbol, orderId) {
-        return `${symbol}_${orderId}`;
+    generatePositionId(symbol, tradeId) {
+        return `${symbol}_${tradeId}`;
+    }
+
+    clientOrderId(symbol, tradeId, leg, revision = 0) {
+        return ClientOrderId.build(config.botId, symbol, tradeId, leg, revision);
+    }
+
+    // Parsed clientOrderId if this bot instance placed the order, otherwise null
+    ownOrderInfo(order) {
+        const info = ClientOrderId.parse(order.clientOrderId);
+        return info && info.botId === config.botId && info.symbol === order.symbol ? info : null;
     }
 
     // === POSITION MANAGEMENT HELPERS ===
-    findTrackedPosition(symbol, quantity, entryPrice) {
+    // One-way mode nets everything into one position per symbol; hedge mode keeps BUY (LONG) and
+    // SELL (SHORT) apart. Keys cooldowns, locks and order bookkeeping per position.
+    positionKey(symbol, side = null) {
+        return this.hedgeMode && side ? `${symbol}_${side}` : symbol;
+    }
+
+    // positionSide for orders that open or reduce a `side` position - omitted in one-way mode
+    positionSideFor(side) {
+        if (!this.hedgeMode) return undefined;
+        return side === 'BUY' ? 'LONG' : 'SHORT';
+    }
+
+    // Position side ('BUY'/'SELL') a hedge-mode order or position update belongs to, null for BOTH
+    sideOfPositionSide(positionSide) {
+        if (positionSide === 'LONG') return 'BUY';
+        if (positionSide === 'SHORT') return 'SELL';
+        return null;
+    }
+
+    // Orders tie a position to its trade via clientOrderId; `side` only narrows it down in hedge mode
+    findTrackedPosition(symbol, side = null) {
         return Array.from(this.positions.values())
-            .find(p => p.symbol === symbol &&
-                Math.abs(p.quantity - quantity) < this.FLOATING_POINT_TOLERANCE &&
-                Math.abs(p.entryPrice - entryPrice) < this.FLOATING_POINT_TOLERANCE);
+            .find(p => p.symbol === symbol && (!this.hedgeMode || !side || p.side === side));
+    }
+
+    // Fresh exchange position for `side` on `symbol`, null when flat
+    async livePosition(symbol, side) {
+        const positions = await this.client.getOpenPositions();
+        return positions.find(p => p.symbol === symbol && p.side === side && p.quantity > 0) || null;
+    }
+
+    isCurrentProtection(position, order) {
+        const legs = [
+            { orderId: position.tpOrderId, clientOrderId: position.tpClientOrderId },
+            { orderId: position.slOrderId, clientOrderId: position.slClientOrderId },
+            ...(position.ladder || []).filter(l => !l.filled)
+        ];
+        return legs.some(leg => (!!order.clientOrderId && order.clientOrderId === leg.clientOrderId) ||
+            (!!leg.orderId && order.orderId == leg.orderId));
+    }
+
+    // The TP slot holds a TRAILING_STOP_MARKET in trailing protection mode
+    exitLegReason(position) {
+        return position.trailingStop ? 'TRAILING_STOP' : 'TAKE_PROFIT';
+    }
+
+    // A stop moved past the mark price after a gap (config.trading.stopGap) books apart from planned ones
+    stopLegReason(position) {
+        return position.stopReanchored ? 'REANCHORED_STOP' : 'STOP_LOSS';
+    }
+
+    // === ADOPTION ===
+    // Positions the bot didn't open (config.trading.adoption) are tagged `adopted` with their policy.
+    // 'protectOnly' ones only ever get TP/SL placed or repaired: no stop moves, no time exits, and
+    // the bot never closes them itself. 'ignore' ones are not tracked at all.
+    isProtectOnly(position) {
+        return position.adopted === 'protectOnly';
+    }
+
+    ignorePosition({ symbol, side, quantity, entryPrice }) {
+        const key = `${symbol}_${side}`;
+        if (this.ignoredPositions.has(key)) return;
+        this.ignoredPositions.add(key);
+        const why = config.isDeniedSymbol(symbol) ? 'denied symbol' : 'adoption policy: ignore';
+        this.logger.warn(`👁️ ${symbol} ${side} ${quantity} @ $${entryPrice} not opened by this bot - left alone (${why})`);
+    }
+
+    logAdoption(position) {
+        const exit = position.trailingStop
+            ? `TRAIL: ${position.trailingStop.callbackRate}%`
+            : `TP: $${(position.takeProfit || 0).toFixed(4)}`;
+        this.logger.position(
+            `OPEN - ${position.symbol} | ${position.side} | ${position.quantity} @ $${position.entryPrice.toFixed(4)} | ` +
+            `SL: $${(position.stopLoss || 0).toFixed(4)} | ${exit} | Adopted: ${position.adopted} | TradeID: ${position.positionId}`
+        );
     }
 
     // === INITIALIZATION ===
     initBot() {
         this.logger.info(`Bot Started - ${config.environment.toUpperCase()}`);
         this.logger.info(`Strategy: ${this.strategy.name}`);
-        this.logger.info(config.environment === 'testnet'
-            ? '🧪 TESTNET MODE: Aggressive monitoring'
-            : '🚀 MAINNET MODE: Conservative monitoring'
-        );
-        process.on('SIGINT', () => this.stop());
+        const modeBanners = {
+            testnet: '🧪 TESTNET MODE: Aggressive monitoring',
+            mainnet: '🚀 MAINNET MODE: Conservative monitoring',
+            paper: '📝 PAPER MODE: Live market data, simulated fills',
+            local: '🧪 LOCAL MODE: Fake exchange from simulator/'
+        };
+        this.logger.info(modeBanners[config.environment] || `Environment: ${config.environment}`);
+
+        this.lifecycle.on('transition', ({ position, from, to, reason }) => {
+            this.logger.debug(`🔄 ${position.symbol} ${position.side} ${from || 'NEW'} → ${to}${reason ? ` (${reason})` : ''}`);
+        });
+        this.lifecycle.on('violation', ({ position, from, to, reason, problem }) => {
+            this.logger.error(`🚫 ${position.symbol} ${position.side} ${from || 'NEW'} → ${to} refused: ${problem}${reason ? ` (${reason})` : ''}`);
+        });
     }
 
     // === UTILITIES ===
@@ -93,33 +209,57 @@ class ScalpingBot {
     }
 
     // === POSITION CACHE METHODS ===
-    async hasOpenPositionCached(symbol) {
+    // `side` only matters in hedge mode, where a symbol can hold a position per side
+    async hasOpenPositionCached(symbol, side = null) {
         // Use cache if less than maxAge seconds old
         if (this.positionCache && Date.now() - this.positionCache.timestamp < this.positionCache.maxAge) {
-            return this.positionCache.symbolSet.has(symbol);
+            return this.hedgeMode && side
+                ? this.positionCache.positionKeys.has(this.positionKey(symbol, side))
+                : this.positionCache.symbolSet.has(symbol);
         }
         return null; // Cache expired, need fresh check
     }
 
-    async hasOpenPosition(symbol) {
+    async hasOpenPosition(symbol, side = null) {
         // ✅ TRY CACHE FIRST
-        const cachedResult = await this.hasOpenPositionCached(symbol);
+        const cachedResult = await this.hasOpenPositionCached(symbol, side);
         if (cachedResult !== null) {
             return cachedResult;
         }
 
         // Fallback to API call
         const positions = await this.client.getOpenPositions();
-        return positions.some(p => p.symbol === symbol && Math.abs(parseFloat(p.positionAmt)) > 0);
+        return positions.some(p => p.symbol === symbol && (!this.hedgeMode || !side || p.side === side));
+    }
+
+    // Nothing left to open on this symbol: its one position (one-way) or both sides (hedge)
+    hasAllPositions(symbol) {
+        if (!this.hedgeMode) return this.positionCache.symbolSet.has(symbol);
+        return ['BUY', 'SELL'].every(side => this.positionCache.positionKeys.has(this.positionKey(symbol, side)));
+    }
+
+    updatePositionCache(data, timestamp = this.positionCache.timestamp) {
+        this.positionCache = {
+            ...this.positionCache,
+            data,
+            timestamp,
+            symbolSet: new Set(data.map(p => p.symbol)),
+            positionKeys: new Set(data.map(p => this.positionKey(p.symbol, p.side)))
+        };
     }
 
     // === INITIALIZATION & CONFIGURATION ===
     async initialize() {
         try {
             config.validate();
+            const clock = await this.client.syncTime();
+            this.logger.info(`⏱️ Server time offset: ${clock.offset}ms`);
+            this.checkClockHealth();
+
             const account = await this.client.getAccountInfo();
-            this.logger.info(`Connected - Balance: ${parseFloat(account.availableBalance).toFixed(2)} USDT`);
+            this.logger.info(`Connected - Balance: ${account.availableBalance.toFixed(2)} ${account.asset}`);
 
+            await this.configurePositionMode();
             await Promise.all(config.trading.symbols.map(symbol => this.configureSymbol(symbol)));
             return true;
         } catch (error) {
@@ -128,6 +268,24 @@ class ScalpingBot {
         }
     }
 
+    // Account-wide, and the exchange refuses to switch while anything is open - then follow the account
+    async configurePositionMode() {
+        const wanted = config.trading.positionMode;
+        let mode = await this.client.getPositionMode();
+
+        if (mode !== wanted) {
+            try {
+                await this.client.setPositionMode(wanted);
+                mode = wanted;
+            } catch (error) {
+                this.logger.error(`${error.message} - staying in ${mode} mode`, `Failed to switch to ${wanted} position mode`);
+            }
+        }
+
+        this.hedgeMode = mode === 'HEDGE';
+        this.logger.info(`Position mode: ${mode}`);
+    }
+
     async configureSymbol(symbol) {
         try {
             await this.client.setMarginMode(symbol, config.trading.marginMode || 'ISOLATED');
@@ -151,29 +309,482 @@ class ScalpingBot {
         }
 
         this.isRunning = true;
+        this.shutdownMode = null;
+        this.stopping = null;
         this.logger.info('Starting bot...');
 
+        await this.startMarketData();
         await this.recoverLiveState();
-        this.tradingInterval = setInterval(() => this.tradingCycle(), this.TRADING_CYCLE_INTERVAL);
+        this.restoreSavedState();
+        await this.startUserDataStream();
+        this.deadMansSwitch?.start();
+        this.startHeartbeat();
+        this.tradingInterval = setInterval(() => this.track(this.tradingCycle()), this.TRADING_CYCLE_INTERVAL);
         this.monitorInterval = setInterval(() => {
             if (this.positions.size > 0) {
-                this.monitorPositions();
+                this.track(this.monitorPositions());
             }
         }, this.MONITORING_INTERVAL);
     }
 
-    stop() {
+    // No new cycles or entries from here; in-flight work is drained (up to drainTimeoutSeconds), then
+    // `mode` (config.shutdown.mode) decides what happens to entry orders and open positions. Tracked
+    // state is saved and a summary printed before the streams close. Signals are handled in index.js.
+    stop(mode = config.shutdown.mode) {
+        if (!this.stopping) this.stopping = this.shutdown(mode);
+        return this.stopping;
+    }
+
+    async shutdown(mode) {
+        this.shutdownMode = mode;
         this.isRunning = false;
         clearInterval(this.tradingInterval);
         clearInterval(this.monitorInterval);
+
+        this.logger.info(`🛑 Stopping (${mode}) - waiting for in-flight work...`);
+        const startedAt = Date.now();
+        const drained = await this.drain(config.shutdown.drainTimeoutSeconds * 1000);
+        const summary = {
+            mode,
+            drained,
+            drainMs: Date.now() - startedAt,
+            stillRunning: Array.from(this.pendingOperations.keys()),
+            entriesCancelled: 0,
+            closed: []
+        };
+
+        if (mode !== 'leave') {
+            summary.entriesCancelled = await this.cancelEntryOrders();
+        }
+        if (mode === 'flatten') {
+            summary.closed = await this.flattenAll();
+        }
+
+        await this.deadMansSwitch?.stop();
+        this.stopMarketData();
+        summary.stateFile = this.persistState();
+        this.stopHeartbeat();
+        this.printShutdownSummary(summary);
+        await this.stopUserDataStream();
+
         // Cleanup all maps to prevent memory leaks
         this.positions.clear();
         this.orders.clear();
         this.cooldowns.clear();
         this.pendingOperations.clear();
+        this.orderFills.clear();
         this.logger.info('Bot stopped');
     }
 
+    // === HEARTBEAT ===
+    // Read by the watchdog process (watchdog/runWatchdog.js): pid, time, position mode and every
+    // tracked position with its stop, written every heartbeatSeconds. The last one before a clean
+    // stop says so, and the watchdog stands down.
+    startHeartbeat() {
+        if (!config.watchdog.enabled || this.heartbeatInterval) return;
+        this.writeHeartbeat();
+        this.heartbeatInterval = setInterval(() => this.writeHeartbeat(), config.watchdog.heartbeatSeconds * 1000);
+    }
+
+    stopHeartbeat() {
+        if (!this.heartbeatInterval) return;
+        clearInterval(this.heartbeatInterval);
+        this.heartbeatInterval = null;
+        this.writeHeartbeat({ stopped: true });
+    }
+
+    writeHeartbeat({ stopped = false } = {}) {
+        try {
+            this.heartbeatStore.save({
+                pid: process.pid,
+                at: Date.now(),
+                stopped,
+                environment: config.environment,
+                botId: config.botId,
+                hedgeMode: this.hedgeMode,
+                positions: Array.from(this.positions.values()).map(p => ({
+                    positionId: p.positionId,
+                    tradeId: p.tradeId,
+                    symbol: p.symbol,
+                    side: p.side,
+                    quantity: p.quantity,
+                    entryPrice: p.entryPrice,
+                    stopLoss: p.stopLoss,
+                    protectionRevision: p.protectionRevision || 0,
+                    adopted: p.adopted || null,
+                    state: p.state
+                }))
+            });
+        } catch (error) {
+            this.logger.error(error.message, 'Heartbeat write failed');
+        }
+    }
+
+    // === SHUTDOWN ===
+    // Interval work in progress - stop() waits for it
+    track(promise) {
+        this.inFlight.add(promise);
+        promise.catch(() => {}).finally(() => this.inFlight.delete(promise));
+        return promise;
+    }
+
+    // Resolves false if cycles or locked operations are still running after `timeoutMs`
+    async drain(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.inFlight.size > 0 || this.pendingOperations.size > 0) {
+            if (Date.now() >= deadline) return false;
+            await this.sleep(100);
+        }
+        return true;
+    }
+
+    // Post-only chases and sliced entries check this between orders
+    entriesCutShort() {
+        return this.shutdownMode === 'cancelEntries' || this.shutdownMode === 'flatten';
+    }
+
+    // This bot's entry orders still resting on the exchange (a chase quote whose cancel got lost)
+    async cancelEntryOrders() {
+        let cancelled = 0;
+        try {
+            const openOrders = await this.client.getOpenOrders();
+            for (const order of openOrders) {
+                if (this.ownOrderInfo(order)?.leg !== ClientOrderId.LEG.ENTRY) continue;
+                const final = await this.cancelEntryOrder(order.symbol, order);
+                this.logger.trade(`🛑 ${order.symbol} entry order ${order.clientOrderId} cancelled (filled ${final.executedQty}/${order.origQty})`);
+                cancelled++;
+            }
+        } catch (error) {
+            this.logger.error(error.message, 'Shutdown: cancelling entry orders failed');
+        }
+        return cancelled;
+    }
+
+    // Closes every tracked position - resolves the ones that went flat
+    async flattenAll() {
+        const closed = [];
+        for (const [positionId, position] of Array.from(this.positions.entries())) {
+            const { symbol, side, quantity } = position;
+            if (this.isProtectOnly(position)) continue; // Not the bot's to close - stays on its TP/SL
+            try {
+                if (this.lifecycle.is(position, STATE.PROTECTED)) {
+                    await this.flattenPosition(positionId, position, 'SHUTDOWN');
+                } else {
+                    // Repairing or mid-close: no protection worth keeping - close whatever is there
+                    await this.emergencyClose(symbol, position.tradeId, side);
+                    this.untrackPosition(positionId, position, 'SHUTDOWN');
+                }
+            } catch (error) {
+                this.logger.error(error.message, `Shutdown: closing ${symbol} ${side} failed`);
+            }
+            if (!this.positions.has(positionId)) closed.push({ symbol, side, quantity });
+        }
+        return closed;
+    }
+
+    // Returns the file written, or null if saving failed
+    persistState() {
+        try {
+            this.stateStore.save({
+                savedAt: Date.now(),
+                environment: config.environment,
+                botId: config.botId,
+                shutdownMode: this.shutdownMode,
+                positions: Array.from(this.positions.values()),
+                cooldowns: Object.fromEntries(this.cooldowns)
+            });
+            return this.stateStore.filePath;
+        } catch (error) {
+            this.logger.error(error.message, 'Shutdown: saving state failed');
+            return null;
+        }
+    }
+
+    // Runs after recovery: positions are rebuilt from the exchange, the snapshot only fills in
+    // what the exchange can't tell, plus cooldowns that haven't run out
+    restoreSavedState() {
+        let saved;
+        try {
+            saved = this.stateStore.load();
+        } catch (error) {
+            this.logger.error(error.message, 'Saved state unreadable - ignored');
+            return;
+        }
+        if (!saved || saved.environment !== config.environment || saved.botId !== config.botId) return;
+
+        let cooldowns = 0;
+        for (const [key, until] of Object.entries(saved.cooldowns || {})) {
+            if (until <= Date.now()) continue;
+            this.cooldowns.set(key, until);
+            cooldowns++;
+        }
+
+        let positions = 0;
+        for (const savedPosition of saved.positions || []) {
+            const position = this.positions.get(savedPosition.positionId);
+            if (!position) continue;
+            for (const field of RESTORED_FIELDS) {
+                if (savedPosition[field] !== undefined) position[field] = savedPosition[field];
+            }
+            positions++;
+        }
+        this.logger.info(`📂 State saved ${new Date(saved.savedAt).toISOString()}: ${positions} positions, ${cooldowns} cooldowns restored`);
+    }
+
+    printShutdownSummary(summary) {
+        const lines = [`🛑 Shutdown summary (${summary.mode})`];
+        lines.push(summary.drained
+            ? `   In-flight work finished in ${(summary.drainMs / 1000).toFixed(1)}s`
+            : `   Drain timed out after ${(summary.drainMs / 1000).toFixed(1)}s - still running: ${summary.stillRunning.join(', ') || 'cycles'}`);
+        if (summary.mode !== 'leave') {
+            lines.push(`   Entry orders cancelled: ${summary.entriesCancelled}`);
+        }
+        for (const { symbol, side, quantity } of summary.closed) {
+            lines.push(`   Closed: ${symbol} ${side} ${quantity}`);
+        }
+        for (const position of this.positions.values()) {
+            const exit = position.trailingStop
+                ? `TRAIL: ${position.trailingStop.callbackRate}%`
+                : `TP: $${(position.takeProfit || 0).toFixed(4)}`;
+            lines.push(
+                `   Left open: ${position.symbol} ${position.side} ${position.quantity} @ $${position.entryPrice.toFixed(4)} | ` +
+                `SL: $${(position.stopLoss || 0).toFixed(4)} | ${exit} | ${position.state}` +
+                (position.adopted ? ` | adopted (${position.adopted})` : '')
+            );
+        }
+        if (this.positions.size === 0) lines.push('   No open positions tracked');
+        lines.push(summary.stateFile ? `   State saved to ${summary.stateFile}` : '   State NOT saved');
+        lines.forEach(line => this.logger.info(line));
+    }
+
+    // === CLOCK HEALTH ===
+    // Signed requests drift out of recvWindow with a bad clock - don't open anything new until it recovers
+    checkClockHealth() {
+        const status = this.client.getClockStatus();
+
+        if (!status.healthy && this.clockHealthy) {
+            const reason = status.lastError
+                ? `sync failing (${status.lastError})`
+                : `drift ${status.drift}ms > ${config.timeSync.maxDriftMs}ms`;
+            this.logger.error(`Clock ${reason} - new entries paused`, 'Server time');
+        } else if (status.healthy && !this.clockHealthy) {
+            this.logger.info(`⏱️ Clock recovered (offset ${status.offset}ms) - entries resumed`);
+        }
+
+        this.clockHealthy = status.healthy;
+        return status.healthy;
+    }
+
+    // === MARKET DATA ===
+    async startMarketData() {
+        const marketData = config.marketData.useWebsocket
+            ? this.client.createMarketDataStream({
+                ...config.marketData,
+                symbols: config.trading.symbols,
+                interval: config.strategy.timeframe
+            })
+            : null;
+
+        if (!marketData) {
+            this.logger.info('📡 Kline streaming disabled - polling REST');
+            return;
+        }
+
+        this.marketData = marketData;
+
+        this.marketData.on('connected', ({ reconnected }) =>
+            this.logger.info(`📡 Kline stream ${reconnected ? 'reconnected' : 'connected'}`));
+        this.marketData.on('disconnected', ({ code }) =>
+            this.logger.debug(`📡 Kline stream closed (${code}) - using REST until it recovers`));
+        this.marketData.on('gap', ({ symbol }) =>
+            this.logger.debug(`📡 ${symbol} kline gap detected - backfilling`));
+        this.marketData.on('error', error =>
+            this.logger.debug(`📡 Kline stream: ${error.message}`));
+
+        await this.marketData.start();
+    }
+
+    stopMarketData() {
+        if (this.marketData) {
+            this.marketData.stop();
+            this.marketData = null;
+        }
+    }
+
+    async getKlines(symbol) {
+        const streamed = this.marketData?.getCandles(symbol);
+        if (streamed) return streamed;
+
+        return this.client.getKlines(symbol, config.strategy.timeframe, config.marketData.bufferSize);
+    }
+
+    // === USER DATA STREAM ===
+    async startUserDataStream() {
+        const userData = config.userDataStream.enabled
+            ? this.client.createUserDataStream(config.userDataStream)
+            : null;
+
+        if (!userData) {
+            this.logger.info('👤 User data stream disabled - polling order status');
+            return;
+        }
+
+        userData.on('connected', ({ reconnected }) => {
+            this.logger.info(`👤 User data stream ${reconnected ? 'reconnected' : 'connected'}`);
+            // Catch up on anything that filled while we were not listening
+            if (this.positions.size > 0) {
+                this.monitorPositionClosures().catch(error =>
+                    this.logger.debug(`Post-connect closure check failed: ${error.message}`));
+            }
+        });
+        userData.on('disconnected', ({ code }) =>
+            this.logger.debug(`👤 User data stream closed (${code}) - polling until it recovers`));
+        userData.on('error', error =>
+            this.logger.debug(`👤 User data stream: ${error.message}`));
+        userData.on('orderUpdate', update => this.handleOrderUpdate(update));
+        userData.on('accountUpdate', update => this.handleAccountUpdate(update));
+        userData.on('marginCall', update => this.handleMarginCall(update));
+
+        try {
+            await userData.start();
+            this.userData = userData;
+        } catch (error) {
+            this.logger.error(error.message, 'User data stream failed to start - falling back to polling');
+        }
+    }
+
+    async stopUserDataStream() {
+        if (this.userData) {
+            const userData = this.userData;
+            this.userData = null;
+            await userData.stop();
+        }
+    }
+
+    hasLiveUserData() {
+        return this.userData !== null && this.userData.isConnected;
+    }
+
+    findPositionByOrder(order) {
+        const matches = (orderId, clientOrderId) =>
+            (!!clientOrderId && order.clientOrderId === clientOrderId) || (!!orderId && order.orderId == orderId);
+
+        for (const [positionId, position] of this.positions.entries()) {
+            if (matches(position.tpOrderId, position.tpClientOrderId)) return { positionId, position, leg: 'TP' };
+            if (matches(position.slOrderId, position.slClientOrderId)) return { positionId, position, leg: 'SL' };
+
+            const ladderLeg = (position.ladder || []).find(l => matches(l.orderId, l.clientOrderId));
+            if (ladderLeg) return { positionId, position, leg: `TP${ladderLeg.level}`, ladderLeg };
+        }
+        return null;
+    }
+
+    handleOrderUpdate(update) {
+        // A single order can fill across several trades - sum fees and PnL until it is done
+        if (update.executionType === 'TRADE') {
+            const fills = this.orderFills.get(update.orderId) || { commission: 0, realizedPnl: 0 };
+            fills.commission += update.commission;
+            fills.realizedPnl += update.realizedPnl;
+            this.orderFills.set(update.orderId, fills);
+        }
+
+        if (['CANCELED', 'EXPIRED', 'REJECTED'].includes(update.status)) {
+            this.orderFills.delete(update.orderId);
+            this.handleProtectionOrderLost(update);
+            return;
+        }
+
+        if (update.status !== 'FILLED') return;
+
+        const fills = this.orderFills.get(update.orderId) || { commission: 0, realizedPnl: 0 };
+        this.orderFills.delete(update.orderId);
+
+        const tracked = this.findPositionByOrder(update);
+        if (!tracked) return;
+
+        const { positionId, position, leg, ladderLeg } = tracked;
+
+        this.logger.trade(`⚡ ${update.symbol} ${leg} filled @ $${update.avgPrice} (order ${update.orderId})`);
+
+        if (ladderLeg) {
+            this.handleLadderFill(positionId, position, ladderLeg, {
+                avgPrice: update.avgPrice,
+                executedQty: update.filledQty,
+                commission: fills.commission,
+                realizedPnl: fills.realizedPnl
+            }).catch(error => this.logger.error(error.message, `Failed to book ${update.symbol} ${leg} fill`));
+            return;
+        }
+
+        const reason = leg === 'TP' ? this.exitLegReason(position) : this.stopLegReason(position);
+
+        this.closePositionByOrder(positionId, position, reason, {
+            orderId: update.orderId,
+            avgPrice: update.avgPrice,
+            commission: fills.commission,
+            realizedPnl: fills.realizedPnl
+        }).catch(error => this.logger.error(error.message, `Failed to close ${update.symbol} from fill event`));
+    }
+
+    handleProtectionOrderLost(update) {
+        if (this.cancelingOrders.has(update.orderId)) return;
+
+        const tracked = this.findPositionByOrder(update);
+        if (!tracked) return;
+
+        this.logger.error(`⚠️ ${update.symbol} ${tracked.leg} order ${update.orderId} ${update.status.toLowerCase()} while position is open`);
+
+        if (this.safetyConfig.emergencyRepair) {
+            this.checkUnprotectedPositions();
+        }
+    }
+
+    handleAccountUpdate(update) {
+        if (update.positions.length === 0) return;
+
+        // Flat positions carry no side - in hedge mode positionSide says which one went flat
+        const updateKey = p => this.positionKey(p.symbol, p.side || this.sideOfPositionSide(p.positionSide));
+
+        // Merge changed positions into the cache so hasOpenPosition sees them immediately
+        let data = this.positionCache.data;
+        for (const p of update.positions) {
+            data = data.filter(d => this.positionKey(d.symbol, d.side) !== updateKey(p));
+            if (p.quantity > 0) {
+                data.push({
+                    symbol: p.symbol,
+                    side: p.side,
+                    positionSide: p.positionSide,
+                    quantity: p.quantity,
+                    entryPrice: p.entryPrice,
+                    unrealizedPnl: p.unrealizedPnl
+                });
+            }
+        }
+        this.updatePositionCache(data);
+
+        // A tracked position went flat without a TP/SL fill event (manual close, liquidation...)
+        for (const p of update.positions) {
+            if (p.quantity > 0) continue;
+
+            setTimeout(() => {
+                for (const [positionId, position] of this.positions.entries()) {
+                    if (this.positionKey(position.symbol, position.side) !== updateKey(p)) continue;
+                    this.findRealClosureReason(positionId, position).catch(error =>
+                        this.logger.debug(`Closure lookup failed for ${p.symbol}: ${error.message}`));
+                }
+            }, 1000); // Give the ORDER_TRADE_UPDATE for the same fill a moment to arrive
+        }
+    }
+
+    handleMarginCall(update) {
+        for (const p of update.positions) {
+            this.logger.error(
+                `🚨 MARGIN CALL: ${p.symbol} ${p.side} ${p.quantity} | ` +
+                `Mark: $${p.markPrice} | uPnL: $${p.unrealizedPnl.toFixed(2)} | Maint. margin: $${p.maintenanceMargin.toFixed(2)}`
+            );
+        }
+    }
+
     // === TRADING CYCLE ===
     async tradingCycle() {
         if (!this.isRunning) return;
@@ -182,28 +793,17 @@ class ScalpingBot {
             const openPositions = await this.client.getOpenPositions();
 
             // ✅ POPULATE POSITION CACHE
-            this.positionCache = {
-                data: openPositions,
-                timestamp: Date.now(),
-                symbolSet: new Set(
-                    openPositions
-                        .filter(p => Math.abs(parseFloat(p.positionAmt)) > 0)
-                        .map(p => p.symbol)
-                ),
-                maxAge: 5000
-            };
+            this.updatePositionCache(openPositions, Date.now());
 
-            const activeCount = openPositions.filter(p => Math.abs(parseFloat(p.positionAmt)) > 0).length;
+            const activeCount = openPositions.length;
 
             if (activeCount >= config.trading.maxOpenPositions) return;
-
-            // Track symbols that already have positions to avoid analyzing them
-            const symbolsWithPositions = this.positionCache.symbolSet;
+            if (!this.checkClockHealth()) return;
 
             await Promise.allSettled(
                 config.trading.symbols.map(symbol => {
-                    // Skip symbols that already have open positions
-                    if (symbolsWithPositions.has(symbol)) {
+                    // Skip symbols that already have open positions (both sides in hedge mode)
+                    if (this.hasAllPositions(symbol)) {
                         this.logger.debug(`⏩ Skip ${symbol} - already has position`);
                         return Promise.resolve();
                     }
@@ -230,7 +830,7 @@ class ScalpingBot {
 
         try {
             if (this.isInCooldown(symbol)) return;
-            const klines = await this.client.getKlines(symbol, config.strategy.timeframe, 300);
+            const klines = await this.getKlines(symbol);
             if (!klines.length) return;
 
             const signal = this.strategy.analyze(klines, symbol);
@@ -255,20 +855,22 @@ class ScalpingBot {
 
     // === TRADE EXECUTION ===
     async executeTrade(symbol, signal) {
+        const side = signal.signal;
+
         // ✅ Check position using cache FIRST
-        const cachedPositionCheck = await this.hasOpenPositionCached(symbol);
+        const cachedPositionCheck = await this.hasOpenPositionCached(symbol, side);
         if (cachedPositionCheck === true) {
             this.logger.debug(`⏩ ${symbol} - Position exists (cached), skipping trade`);
             return;
         }
 
         // If cache expired or uncertain, do API check
-        if (await this.hasOpenPosition(symbol)) {
+        if (await this.hasOpenPosition(symbol, side)) {
             this.logger.debug(`⏩ ${symbol} - Position exists, skipping trade`);
             return;
         }
 
-        const lockKey = this.getTradeLockKey(symbol);
+        const lockKey = this.getTradeLockKey(symbol, side);
         if (this.pendingOperations.has(lockKey)) {
             this.logger.debug(`⏳ ${symbol} - Trade operation in progress`);
             return;
@@ -278,45 +880,59 @@ class ScalpingBot {
 
         try {
             // ✅ Double-check position AFTER acquiring lock (use cache first)
-            const cachedDoubleCheck = await this.hasOpenPositionCached(symbol);
+            const cachedDoubleCheck = await this.hasOpenPositionCached(symbol, side);
             if (cachedDoubleCheck === true) {
                 this.logger.debug(`⏩ ${symbol} - Position opened during lock acquisition (cached)`);
                 return;
             }
 
             // Final API check if cache uncertain
-            if (await this.hasOpenPosition(symbol)) {
+            if (await this.hasOpenPosition(symbol, side)) {
                 this.logger.debug(`⏩ ${symbol} - Position opened during lock acquisition`);
                 return;
             }
 
+            // Stopping: a signal analysed before stop() doesn't open anything
+            if (!this.isRunning) {
+                this.logger.debug(`⏩ ${symbol} - Bot stopping, skipping trade`);
+                return;
+            }
+
             // ✅ Check cooldown AFTER lock acquired
-            if (this.isInCooldown(symbol)) {
+            if (this.isInCooldown(this.positionKey(symbol, side))) {
                 this.logger.debug(`⏩ ${symbol} - In cooldown, skipping trade`);
                 return;
             }
 
+            if (!this.checkClockHealth()) {
+                this.logger.debug(`⏩ ${symbol} - Clock unhealthy, skipping trade`);
+                return;
+            }
+
+            const priceCheck = await this.checkEntryPrice(symbol, signal);
+            if (!priceCheck.ok) {
+                this.logger.warn(`⛔ ${symbol} ${side} entry aborted - ${priceCheck.problem}`);
+                return;
+            }
+
             const account = await this.client.getAccountInfo();
 
             const quantity = this.strategy.calculatePositionSize(
-                parseFloat(account.availableBalance),
+                account.availableBalance,
                 signal.price,
                 symbol
             );
 
-            const symbolInfo = await this.client.getSymbolInfo(symbol);
-            const adjustedQty = this.client.adjustQuantityToStepSize(
-                quantity,
-                parseFloat(symbolInfo.filters.LOT_SIZE.stepSize)
-            );
+            const rules = await this.client.getSymbolRules(symbol);
+            const adjustedQty = this.client.adjustQuantityToStepSize(quantity, rules.stepSize);
 
             const notional = adjustedQty * signal.price;
-            if (notional < parseFloat(symbolInfo.filters.MIN_NOTIONAL.notional)) {
+            if (notional < rules.minNotional) {
                 this.logger.debug(`${symbol} notional too low`);
                 return;
             }
 
-            await this.executeMarketOrder(symbol, signal, adjustedQty);
+            await this.executeMarketOrder(symbol, signal, adjustedQty, priceCheck.touch);
         } catch (error) {
             this.logger.error(error.message, `Trade execution error: ${symbol}`);
         } finally {
@@ -324,160 +940,678 @@ class ScalpingBot {
         }
     }
 
-    async executeMarketOrder(symbol, signal, quantity) {
-        let marketOrder = null;
+    // `quotePrice` - the bid / ask the slippage guard saw just before the entry (null if it was off)
+    async executeMarketOrder(symbol, signal, quantity, quotePrice = null) {
         let protectionSuccess = false;
+        const tradeId = ClientOrderId.newTradeId();
+        const positionId = this.generatePositionId(symbol, tradeId);
+
+        // Tracked in this.positions only once protected
+        const position = { positionId, tradeId, symbol, side: signal.signal, quantity, entryPrice: 0, entryOrders: [] };
+        this.lifecycle.begin(position, STATE.PENDING_ENTRY, 'entry order');
 
         try {
-            marketOrder = await this.client.placeMarketOrder(symbol, signal.signal, quantity);
-            const filledOrder = await this.waitForOrderFill(marketOrder.orderId, symbol);
-            const actualEntryPrice = parseFloat(filledOrder.avgPrice);
-            const actualLevels = this.strategy.calculateLevels(actualEntryPrice, signal.signal, symbol);
+            // A post-only quote rests as maker already - only market entries are sliced
+            const postOnly = config.trading.entry.mode === 'postOnly';
+            const slicer = postOnly ? null : await this.createSlicer(symbol, signal.signal, quantity);
+            if (slicer?.children.length > 1) {
+                this.logger.trade(`🧊 ${symbol} ${signal.signal} ${quantity} sliced into ${slicer.children.length} orders of ≤${slicer.children[0]}`);
+                position.quantity = slicer.children[0];
+            }
 
-            this.logger.trade(`✅ ORDER SUCCESS: ${symbol} ${signal.signal} ${quantity} @ $${actualEntryPrice}`);
+            const filledOrder = postOnly
+                ? await this.placePostOnlyEntry(position)
+                : await this.placeMarketEntry(position, position.quantity);
+            // Protection is about to go on - an armed countdown would cancel it with the entries
+            await this.deadMansSwitch?.release(symbol);
+            if (!filledOrder) {
+                this.lifecycle.transition(position, STATE.FAILED, 'post-only entry not filled');
+                this.lifecycle.transition(position, STATE.CLOSED, 'nothing to unwind');
+                return;
+            }
+            if (!await this.settleEntryFill(position, filledOrder)) return;
+
+            // Everything from here on is sized from the actual fill
+            quantity = position.quantity;
+            const actualEntryPrice = position.entryPrice;
+            position.slippage = this.measureSlippage(signal.signal, signal.price, quotePrice, actualEntryPrice);
+            this.lifecycle.transition(position, STATE.FILLED, `entry filled ${quantity} @ $${actualEntryPrice}`);
+            const actualLevels = this.calculateProtectionLevels(actualEntryPrice, signal.signal, symbol, signal.indicators);
+            actualLevels.ladder = await this.buildTakeProfitLadder(symbol, signal.signal, actualEntryPrice, quantity, actualLevels);
+
+            this.logger.trade(
+                `✅ ORDER SUCCESS: ${symbol} ${signal.signal} ${quantity} @ $${actualEntryPrice} | ` +
+                `Slippage: ${position.slippage.percent.toFixed(3)}% vs signal $${signal.price}`
+            );
 
             // ✅ ADD RETRY LOGIC FOR TP/SL
-            let tpSlOrders = await this.placeTPSL(symbol, signal.signal, quantity, actualLevels);
+            let revision = 0;
+            let tpSlOrders = await this.placeTPSL(symbol, signal.signal, quantity, actualLevels, tradeId, revision);
 
             // Check if orders failed
-            const tpSuccess = tpSlOrders.tpOrderId;
+            const tpSuccess = tpSlOrders.tpOrderId && tpSlOrders.ladder.every(l => l.orderId);
             const slSuccess = tpSlOrders.slOrderId;
 
             // Retry once if partial failure
             if (!tpSuccess || !slSuccess) {
-                this.logger.warn(`⚠️ TP/SL partial failure, retrying...`);
-                await this.sleep(1000);
-                tpSlOrders = await this.placeTPSL(symbol, signal.signal, quantity, actualLevels);
+                const failedLeg = tpSlOrders.tpError || tpSlOrders.slError || tpSlOrders.ladder.find(l => l.error)?.error;
+                // The same stop would be rejected again - re-anchor it or close (config.trading.stopGap)
+                const gapped = this.isStopGapped(tpSlOrders);
+                if (gapped) {
+                    const stopPrice = await this.reanchoredStop(position, actualLevels.stopLoss);
+                    if (!stopPrice) {
+                        await this.closeGappedEntry(position, tpSlOrders, revision);
+                        return;
+                    }
+                    actualLevels.stopLoss = stopPrice;
+                    position.stopReanchored = true;
+                } else if (!BinanceErrors.classify(failedLeg).retryable) {
+                    throw new Error(`TP/SL rejected (${failedLeg.msg || failedLeg.code}) - not retryable`);
+                } else {
+                    this.logger.warn(`TP/SL partial failure, retrying...`);
+                }
+
+                // Resending the batch as-is would duplicate the leg that did get placed
+                await this.cancelProtectionOrders(symbol, tpSlOrders);
+                if (!gapped) await this.sleep(1000);
+                revision++;
+                tpSlOrders = await this.placeTPSL(symbol, signal.signal, quantity, actualLevels, tradeId, revision);
 
                 // Check retry success
-                const retryTpSuccess = tpSlOrders.tpOrderId;
+                const retryTpSuccess = tpSlOrders.tpOrderId && tpSlOrders.ladder.every(l => l.orderId);
                 const retrySlSuccess = tpSlOrders.slOrderId;
 
+                // Price outran the re-anchored stop as well
+                if (gapped && this.isStopGapped(tpSlOrders)) {
+                    await this.closeGappedEntry(position, tpSlOrders, revision);
+                    return;
+                }
                 if (!retryTpSuccess || !retrySlSuccess) {
                     throw new Error(`TP/SL placement failed after retry. TP: ${retryTpSuccess ? 'OK' : 'FAIL'}, SL: ${retrySlSuccess ? 'OK' : 'FAIL'}`);
                 }
             }
 
-            // ✅ VERIFY TP/SL ORDERS EXIST
-            const verified = await this.verifyOrdersExist(symbol, tpSlOrders.tpOrderId, tpSlOrders.slOrderId);
-            if (!verified) {
-                throw new Error('TP/SL orders verification failed - orders may not have been placed correctly');
+            // ✅ VERIFY TP/SL ORDERS EXIST
+            const verified = await this.verifyOrdersExist(symbol, tpSlOrders.tpOrderId, tpSlOrders.slOrderId,
+                tpSlOrders.ladder.map(l => l.orderId));
+            if (!verified) {
+                throw new Error('TP/SL orders verification failed - orders may not have been placed correctly');
+            }
+
+            Object.assign(position, {
+                timestamp: Date.now(),
+                stopLoss: actualLevels.stopLoss,
+                takeProfit: actualLevels.takeProfit,
+                marketOrderId: filledOrder.orderId,
+                tpOrderId: tpSlOrders.tpOrderId,
+                slOrderId: tpSlOrders.slOrderId,
+                tpClientOrderId: tpSlOrders.tpClientOrderId,
+                slClientOrderId: tpSlOrders.slClientOrderId,
+                protectionRevision: revision,
+                trailingStop: actualLevels.trailingStop || null,
+                initialRisk: Math.abs(actualEntryPrice - actualLevels.stopLoss),
+                slQuantity: quantity,
+                ladder: this.trackedLadder(tpSlOrders.ladder)
+            });
+            if (!this.lifecycle.transition(position, STATE.PROTECTED, 'TP/SL placed')) {
+                throw new Error('Position could not be marked protected');
+            }
+
+            protectionSuccess = true;
+            this.storeTPSLOrders(symbol, tpSlOrders.tpOrderId, tpSlOrders.slOrderId, signal.signal);
+            this.positions.set(positionId, position);
+
+            const indicatorLog = signal.indicators ?
+                ` | INDICATORS: ${JSON.stringify(signal.indicators)}` : '';
+
+            const exitLog = this.ladderLog(actualLevels.ladder) + (actualLevels.trailingStop
+                ? `TRAIL: ${actualLevels.trailingStop.callbackRate}%`
+                : `TP: $${actualLevels.takeProfit.toFixed(4)}`);
+
+            this.logger.position(
+                `OPEN - ${symbol} | ${signal.signal} | ${quantity} @ $${actualEntryPrice.toFixed(4)} | ` +
+                `SL: $${actualLevels.stopLoss.toFixed(4)} | ${exitLog}${indicatorLog}`
+            );
+
+            // Open and protected by now - a failing slice must not unwind the position. A stop left
+            // short of the size is resized by the next stop management pass.
+            if (slicer?.children.length > 1) {
+                try {
+                    await this.fillEntrySlices(position, slicer, signal, quotePrice);
+                } catch (error) {
+                    this.logger.error(error.message, `${symbol} sliced entry stopped - keeping ${position.quantity}`);
+                }
+            }
+
+            this.setCooldown(this.positionKey(symbol, signal.signal), config.trading.cooldowns.afterOpen);
+        } catch (atomicError) {
+            this.logger.error(`❌ ORDER FAILED: ${symbol} ${signal.signal} ${quantity} - ${atomicError.message}`);
+            if (this.lifecycle.is(position, STATE.PENDING_ENTRY, STATE.FILLED)) {
+                this.lifecycle.transition(position, STATE.FAILED, atomicError.message);
+            }
+
+            if (position.entryOrders.length > 0 && !protectionSuccess) {
+                // A chase order still resting could fill after the close
+                for (const orderId of position.entryOrders) {
+                    await this.cancelEntryOrder(symbol, { orderId }).catch(() => null);
+                }
+                this.logger.error(`🚨 Market order placed but protection failed - emergency closing`);
+                await this.emergencyClose(symbol, tradeId, signal.signal);
+                this.lifecycle.transition(position, STATE.CLOSED, 'EMERGENCY');
+            }
+
+            throw atomicError;
+        }
+    }
+
+    // With allowPartial, an order that ended (or is still working at the timeout) partly filled
+    // resolves as well - the caller reads executedQty
+    async waitForOrderFill(orderId, symbol, timeout = this.ORDER_FILL_TIMEOUT, { allowPartial = false } = {}) {
+        const startTime = Date.now();
+        let pollCount = 0;
+
+        while (Date.now() - startTime < timeout) {
+            let order;
+            try {
+                order = await this.client.getOrder(symbol, orderId);
+                pollCount++;
+            } catch (error) {
+                this.logger.debug(`Retry ${pollCount + 1} for order ${orderId}: ${error.message}`);
+
+                // ✅ Longer wait on API errors
+                await this.sleep(2000);
+                continue;
+            }
+
+            if (order.status === 'FILLED') {
+                this.logger.debug(`✅ Order ${orderId} filled after ${pollCount} checks`);
+                return order;
+            }
+
+            if (order.status === 'CANCELED' || order.status === 'EXPIRED' || order.status === 'REJECTED') {
+                if (allowPartial && order.executedQty > 0) return order;
+                throw new Error(`Order ${orderId} was ${order.status.toLowerCase()}`);
+            }
+
+            // ✅ Adaptive polling
+            const elapsed = Date.now() - startTime;
+            await this.sleep(elapsed < 5000 ? 500 : 1000);
+        }
+
+        // ✅ Final verification attempt
+        let finalOrder;
+        try {
+            finalOrder = await this.client.getOrder(symbol, orderId);
+        } catch (finalError) {
+            throw new Error(`Order ${orderId} verification failed: ${finalError.message}`);
+        }
+        if (finalOrder.status === 'FILLED') {
+            this.logger.debug(`✅ Order ${orderId} filled on final check`);
+            return finalOrder;
+        }
+        if (allowPartial && finalOrder.executedQty > 0) return finalOrder;
+        throw new Error(`Order ${orderId} not filled within ${timeout}ms. Final status: ${finalOrder.status}`);
+    }
+
+    // === STOP GAP FALLBACK ===
+    // Price can run through the computed stop between the entry fill and protection; the SL leg is
+    // then rejected with -2021. Decided on the mark price (config.trading.stopGap): 'close' flattens
+    // at once (Reason: STOP_GAPPED); 'reanchor' moves the stop bufferPercent beyond the mark price
+    // when the loss there stays within maxRiskMultiple x the planned risk, and closes otherwise.
+    // A re-anchored stop that fills books as REANCHORED_STOP.
+    isStopGapped({ slError }) {
+        return !!slError && BinanceErrors.is(slError, BinanceErrors.CATEGORY.WOULD_TRIGGER);
+    }
+
+    // Resolves the new stop price, or null when the position should be closed instead
+    async reanchoredStop(position, plannedStop) {
+        const { action, bufferPercent, maxRiskMultiple } = config.trading.stopGap;
+        const { symbol, side, entryPrice } = position;
+
+        const live = (await this.client.getOpenPositions()).find(p => p.symbol === symbol && p.side === side);
+        const markPrice = live?.markPrice || await this.client.getPrice(symbol);
+        const direction = side === 'BUY' ? 1 : -1;
+        const stopPrice = markPrice * (1 - direction * bufferPercent / 100);
+        const riskMultiple = direction * (entryPrice - stopPrice) / Math.abs(entryPrice - plannedStop);
+
+        this.logger.warn(`⚡ ${symbol} ${side} stop $${plannedStop.toFixed(4)} would trigger at once - mark $${markPrice.toFixed(4)}, entry $${entryPrice.toFixed(4)}`);
+        if (action === 'close') return null;
+        if (riskMultiple > maxRiskMultiple) {
+            this.logger.warn(`⚡ ${symbol} re-anchored stop $${stopPrice.toFixed(4)} would risk ${riskMultiple.toFixed(2)}x the plan (max ${maxRiskMultiple}x) - closing instead`);
+            return null;
+        }
+        this.logger.trade(`⚓ ${symbol} ${side} stop re-anchored $${plannedStop.toFixed(4)} → $${stopPrice.toFixed(4)} (${riskMultiple.toFixed(2)}x the planned risk)`);
+        return stopPrice;
+    }
+
+    // Closes a fresh entry whose stop can't go on. Whatever protection did get placed (at `revision`)
+    // goes first - a failed close is unwound by executeMarketOrder's emergency close.
+    async closeGappedEntry(position, placed, revision) {
+        const { symbol, side, tradeId, quantity } = position;
+        await this.cancelProtectionOrders(symbol, placed);
+
+        // Revision 0 is the emergency close's - a resend there must not be handed this order back
+        const order = await this.client.placeMarketOrder(symbol, side === 'BUY' ? 'SELL' : 'BUY', quantity, {
+            clientOrderId: this.clientOrderId(symbol, tradeId, ClientOrderId.LEG.CLOSE, revision + 1),
+            positionSide: this.positionSideFor(side),
+            reduceOnly: !this.hedgeMode
+        });
+        const filled = await this.waitForOrderFill(order.orderId, symbol);
+
+        this.logger.position(
+            `CLOSED - ${symbol} | ${side} | ${quantity} @ $${position.entryPrice.toFixed(4)} | ` +
+            `${this.exitSummary(position, quantity, filled)} | Reason: STOP_GAPPED | TradeID: ${position.positionId}`
+        );
+        this.lifecycle.transition(position, STATE.FAILED, 'stop would trigger at once');
+        this.lifecycle.transition(position, STATE.CLOSED, 'STOP_GAPPED');
+        this.setCooldown(this.positionKey(symbol, side), config.trading.cooldowns.afterClose);
+    }
+
+    // === SLIPPAGE GUARD ===
+    // The signal price is the close of the analysed candle. Before entering, the bid / ask we'd take
+    // (ask for a BUY, bid for a SELL) must not have run more than maxDeviationPercent against it, and
+    // the spread must not be wider than maxSpreadPercent. A move in our favour never blocks.
+    async checkEntryPrice(symbol, signal) {
+        const guard = config.getSymbolConfig(symbol).slippageGuard;
+        if (!guard.enabled) return { ok: true, touch: null };
+
+        const book = await this.client.getBookTicker(symbol);
+        const touch = signal.signal === 'BUY' ? book.askPrice : book.bidPrice;
+        const deviationPercent = this.adversePercent(signal.signal, signal.price, touch);
+        const spreadPercent = (book.askPrice - book.bidPrice) / ((book.askPrice + book.bidPrice) / 2) * 100;
+
+        let problem = null;
+        if (deviationPercent > guard.maxDeviationPercent) {
+            problem = `price ran ${deviationPercent.toFixed(3)}% from signal $${signal.price} to $${touch} (max ${guard.maxDeviationPercent}%)`;
+        } else if (spreadPercent > guard.maxSpreadPercent) {
+            problem = `spread ${spreadPercent.toFixed(3)}% ($${book.bidPrice} / $${book.askPrice}, max ${guard.maxSpreadPercent}%)`;
+        }
+        return { ok: !problem, problem, touch, deviationPercent, spreadPercent };
+    }
+
+    // Realized entry slippage in percent, positive = filled worse than the reference price
+    measureSlippage(side, signalPrice, quotePrice, fillPrice) {
+        return {
+            signalPrice,
+            quotePrice,
+            fillPrice,
+            percent: this.adversePercent(side, signalPrice, fillPrice),
+            vsQuotePercent: quotePrice ? this.adversePercent(side, quotePrice, fillPrice) : null
+        };
+    }
+
+    adversePercent(side, reference, price) {
+        return (side === 'BUY' ? price - reference : reference - price) / reference * 100;
+    }
+
+    // === ENTRY ORDERS ===
+    // Every entry order of a trade is an ENTRY leg with the next revision (EN, EN1, ...) and is
+    // remembered in position.entryOrders, so a failure can cancel whatever is still resting.
+    entryClientOrderId(position) {
+        return this.clientOrderId(position.symbol, position.tradeId, ClientOrderId.LEG.ENTRY, position.entryOrders.length);
+    }
+
+    async placeMarketEntry(position, quantity) {
+        const { symbol, side } = position;
+        const order = await this.client.placeMarketOrder(symbol, side, quantity, {
+            clientOrderId: this.entryClientOrderId(position),
+            positionSide: this.positionSideFor(side)
+        });
+        position.entryOrders.push(order.orderId);
+        return this.waitForOrderFill(order.orderId, symbol, this.ORDER_FILL_TIMEOUT, { allowPartial: true });
+    }
+
+    // Maker entry: a post-only (GTX) limit at the best bid (BUY) / ask (SELL), or offsetTicks inside
+    // the spread, re-quoted whenever the touch moves - at most chaseTicks away from the first quote
+    // and within timeoutSeconds. The first fill ends the chase: the rest is cancelled and
+    // partialFillPolicy applies, so protection goes on as soon as anything filled. Unfilled, it
+    // falls back to a market entry or gives up (resolves null).
+    async placePostOnlyEntry(position) {
+        const guarded = await this.armDeadMansSwitch(position);
+        try {
+            return await this.chasePostOnlyEntry(position);
+        } finally {
+            if (guarded) await this.deadMansSwitch.release(position.symbol);
+        }
+    }
+
+    async chasePostOnlyEntry(position) {
+        const { symbol, side, quantity } = position;
+        const { chaseTicks, offsetTicks, repriceSeconds, timeoutSeconds, fallback } = config.trading.entry;
+        const { tickSize } = await this.client.getSymbolRules(symbol);
+        const deadline = Date.now() + timeoutSeconds * 1000;
+        const direction = side === 'BUY' ? 1 : -1;
+        let anchor = null;
+        let order = null;
+
+        while (Date.now() < deadline && !this.entriesCutShort()) {
+            const price = this.makerPrice(side, await this.client.getBookTicker(symbol), tickSize, offsetTicks);
+            anchor ??= price;
+            const chased = Math.round(direction * (price - anchor) / tickSize);
+            if (chased > chaseTicks) {
+                this.logger.debug(`${symbol} quote ran ${chased} ticks from $${anchor} - chase over`);
+                break;
+            }
+
+            if (order?.price !== price) {
+                if (order) {
+                    order = await this.cancelEntryOrder(symbol, order);
+                    if (order.executedQty > 0) return order;
+                }
+                try {
+                    order = await this.client.placeLimitOrder(symbol, side, quantity, price, {
+                        clientOrderId: this.entryClientOrderId(position),
+                        positionSide: this.positionSideFor(side),
+                        postOnly: true
+                    });
+                    position.entryOrders.push(order.orderId);
+                    this.logger.debug(`${symbol} post-only ${side} ${quantity} @ $${price}${chased > 0 ? ` (chased ${chased} ticks)` : ''}`);
+                } catch (error) {
+                    // The touch moved through our price between quote and order - quote again
+                    if (!BinanceErrors.is(error, BinanceErrors.CATEGORY.POST_ONLY_REJECTED)) throw error;
+                    order = null;
+                    continue;
+                }
+            }
+
+            order = await this.waitForMakerFill(symbol, order, Math.min(deadline, Date.now() + repriceSeconds * 1000));
+            if (order.executedQty > 0) {
+                return order.status === 'FILLED' ? order : this.cancelEntryOrder(symbol, order);
+            }
+            // Venues may also expire a crossing GTX instead of rejecting it
+            if (order.status === 'EXPIRED' || order.status === 'CANCELED') order = null;
+        }
+
+        if (order) {
+            order = await this.cancelEntryOrder(symbol, order);
+            if (order.executedQty > 0) return order;
+        }
+
+        if (fallback === 'market' && !this.entriesCutShort()) {
+            this.logger.trade(`${symbol} post-only entry not filled - falling back to market`);
+            return this.placeMarketEntry(position, quantity);
+        }
+        this.logger.trade(`${symbol} post-only entry not filled - giving up`);
+        return null;
+    }
+
+    // Arms the dead-man's switch for a resting entry - only while nothing else of the symbol has
+    // orders the countdown would take down: no position on either side, no other entry underway
+    async armDeadMansSwitch({ symbol, side }) {
+        if (!this.deadMansSwitch) return false;
+        const otherSide = side === 'BUY' ? 'SELL' : 'BUY';
+        if (this.hedgeMode && this.pendingOperations.has(this.getTradeLockKey(symbol, otherSide))) return false;
+        if (this.findTrackedPosition(symbol) || await this.hasOpenPosition(symbol)) return false;
+        return this.deadMansSwitch.arm(symbol);
+    }
+
+    // Best maker price: offsetTicks inside the touch, never at or through the other side
+    makerPrice(side, book, tickSize, offsetTicks = 0) {
+        const roundToTick = price => this.client.adjustPriceToTickSize(price + tickSize / 2, tickSize);
+        return side === 'BUY'
+            ? roundToTick(Math.min(book.bidPrice + offsetTicks * tickSize, book.askPrice - tickSize))
+            : roundToTick(Math.max(book.askPrice - offsetTicks * tickSize, book.bidPrice + tickSize));
+    }
+
+    // Polls until the order fills (even partly), ends, or `until` passes - resolves the latest state
+    async waitForMakerFill(symbol, order, until) {
+        while (Date.now() < until) {
+            await this.sleep(Math.min(500, Math.max(0, until - Date.now())));
+            const latest = await this.client.getOrder(symbol, order.orderId).catch(() => null);
+            if (!latest) continue;
+            order = latest;
+            if (order.executedQty > 0 || ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'].includes(order.status)) break;
+        }
+        return order;
+    }
+
+    // Cancels the unfilled rest and resolves the final order - it may have filled in the meantime
+    async cancelEntryOrder(symbol, order) {
+        await this.client.cancelOrder(symbol, order.orderId).catch(error => {
+            if (!BinanceErrors.is(error, BinanceErrors.CATEGORY.ORDER_NOT_FOUND)) throw error;
+        });
+        return this.client.getOrder(symbol, order.orderId);
+    }
+
+    // === ENTRY FILLS ===
+    // Protection is sized from what the entry actually filled. A shortfall (thin book, expired or
+    // timed-out remainder) is handled by config.trading.partialFillPolicy:
+    //   'complete' - buy/sell the rest with a follow-up market order (next ENTRY revision)
+    //   'accept'   - keep and protect the partial position
+    //   'cancel'   - call the trade off and close the partial position
+    // Sets position.quantity / entryPrice / entryFill; resolves false when the trade was called off.
+    async settleEntryFill(position, order) {
+        const { symbol, side, tradeId } = position;
+        const requested = position.quantity;
+        const policy = config.trading.partialFillPolicy;
+        const rules = await this.client.getSymbolRules(symbol);
+        const fillOf = o => ({ orderId: o.orderId, type: o.type, quantity: o.executedQty, price: o.avgPrice });
+        const fills = [fillOf(order)];
+        let missing = this.client.remainingQuantity(requested, [order.executedQty], rules.stepSize);
+
+        if (missing > 0) {
+            this.logger.warn(`${symbol} entry filled ${order.executedQty}/${requested} (${order.status}) - policy: ${policy}`);
+
+            // A remainder still working could fill later, unprotected - cancel it and take the final count
+            if (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') {
+                const final = await this.cancelEntryOrder(symbol, order);
+                fills[0] = fillOf(final);
+                missing = this.client.remainingQuantity(requested, [final.executedQty], rules.stepSize);
+            }
+
+            if (policy === 'complete' && missing >= rules.minQty) {
+                const filled = await this.placeMarketEntry(position, missing);
+                fills.push(fillOf(filled));
+                missing = this.client.remainingQuantity(missing, [filled.executedQty], rules.stepSize);
             }
+        }
 
-            protectionSuccess = true;
-            this.storeTPSLOrders(symbol, tpSlOrders.tpOrderId, tpSlOrders.slOrderId);
-
-            const positionId = this.generatePositionId(symbol, marketOrder.orderId);
-            this.positions.set(positionId, {
-                positionId,
-                symbol,
-                side: signal.signal,
-                quantity: quantity,
-                entryPrice: actualEntryPrice,
-                timestamp: Date.now(),
-                stopLoss: actualLevels.stopLoss,
-                takeProfit: actualLevels.takeProfit,
-                marketOrderId: marketOrder.orderId,
-                tpOrderId: tpSlOrders.tpOrderId,
-                slOrderId: tpSlOrders.slOrderId
-            });
+        const quantity = this.client.remainingQuantity(requested, [missing], rules.stepSize);
+        position.quantity = quantity;
+        position.entryPrice = fills.reduce((sum, fill) => sum + fill.quantity * fill.price, 0) / quantity;
+        position.entryFill = { requested, filled: quantity, policy: missing > 0 || fills.length > 1 ? policy : null, fills };
 
-            const indicatorLog = signal.indicators ?
-                ` | INDICATORS: ${JSON.stringify(signal.indicators)}` : '';
+        if (missing > 0 && policy === 'cancel') {
+            this.lifecycle.transition(position, STATE.FILLED, `partial entry ${quantity}/${requested}`);
+            this.lifecycle.transition(position, STATE.FAILED, 'partial entry cancelled by policy');
 
+            const close = await this.client.placeMarketOrder(symbol, side === 'BUY' ? 'SELL' : 'BUY', quantity, {
+                clientOrderId: this.clientOrderId(symbol, tradeId, ClientOrderId.LEG.CLOSE),
+                positionSide: this.positionSideFor(side),
+                reduceOnly: !this.hedgeMode
+            });
+            const closed = await this.waitForOrderFill(close.orderId, symbol);
             this.logger.position(
-                `OPEN - ${symbol} | ${signal.signal} | ${quantity} @ $${actualEntryPrice.toFixed(4)} | ` +
-                `SL: $${actualLevels.stopLoss.toFixed(4)} | TP: $${actualLevels.takeProfit.toFixed(4)}${indicatorLog}`
+                `CLOSED - ${symbol} | ${side} | ${quantity} @ $${position.entryPrice.toFixed(4)} | ` +
+                `${this.exitSummary(position, quantity, closed)} | Reason: PARTIAL_ENTRY_CANCELLED | ` +
+                `TradeID: ${position.positionId}`
             );
+            this.lifecycle.transition(position, STATE.CLOSED, 'PARTIAL_ENTRY_CANCELLED');
+            return false;
+        }
+        return true;
+    }
 
-            this.setCooldown(symbol, config.trading.cooldowns.afterOpen);
-        } catch (atomicError) {
-            this.logger.error(`❌ ORDER FAILED: ${symbol} ${signal.signal} ${quantity} - ${atomicError.message}`);
-
-            if (marketOrder && !protectionSuccess) {
-                this.logger.error(`🚨 Market order placed but protection failed - emergency closing`);
-                await this.emergencyClose(symbol);
-            }
-
-            throw atomicError;
+    // === SLICED EXECUTION ===
+    // Slices sized from the symbol's recent volume and the size at the touch this order takes
+    // (the ask for a BUY, the bid for a SELL) - a single child when slicing is off or not needed
+    async createSlicer(symbol, side, quantity) {
+        const settings = config.getSymbolConfig(symbol).slicing;
+        if (!settings.enabled) {
+            return new OrderSlicer(quantity, { rules: await this.client.getSymbolRules(symbol), settings });
         }
+
+        const [rules, book, candles] = await Promise.all([
+            this.client.getSymbolRules(symbol),
+            this.client.getBookTicker(symbol),
+            this.getKlines(symbol)
+        ]);
+        const [touchQuantity, price] = side === 'BUY' ? [book.askQty, book.askPrice] : [book.bidQty, book.bidPrice];
+        return new OrderSlicer(quantity, { rules, settings, candles, touchQuantity, price });
     }
 
-    async waitForOrderFill(orderId, symbol, timeout = this.ORDER_FILL_TIMEOUT) {
-        const startTime = Date.now();
-        let pollCount = 0;
-        let lastError = null;
+    // The first child is already filled and protected: the rest go out one by one, each fill
+    // growing the tracked position (average entry price) and its TP/SL.
+    async fillEntrySlices(position, slicer, signal, quotePrice) {
+        const { symbol, side } = position;
+        const total = slicer.children.length;
+        const levels = { stopLoss: position.stopLoss, takeProfit: position.takeProfit, trailingStop: position.trailingStop };
+        const rules = await this.client.getSymbolRules(symbol);
+
+        const result = await slicer.execute(
+            slicer.children.slice(1),
+            // Shutting down with entries cut short: no more children (null stops the slicer)
+            quantity => this.entriesCutShort() ? null : this.placeMarketEntry(position, quantity),
+            async (order, index) => {
+                const filled = position.quantity;
+                position.quantity = this.client.remainingQuantity(filled, [-order.executedQty], rules.stepSize);
+                position.entryPrice = (filled * position.entryPrice + order.executedQty * order.avgPrice) / position.quantity;
+                position.initialRisk = Math.abs(position.entryPrice - position.stopLoss);
+                position.entryFill.fills.push({ orderId: order.orderId, type: order.type, quantity: order.executedQty, price: order.avgPrice });
+                position.entryFill.filled = position.quantity;
+                await this.resizeProtection(position, levels, `slice ${index + 2}/${total} filled`);
+            }
+        );
 
-        while (Date.now() - startTime < timeout) {
-            try {
-                const order = await this.client.getOrder(symbol, orderId);
-                pollCount++;
+        position.entryFill.requested = slicer.quantity;
+        position.slippage = this.measureSlippage(side, signal.price, quotePrice, position.entryPrice);
+        this.logger.trade(
+            `🧊 ${symbol} ${side} sliced entry: ${result.fills.length + 1}/${total} orders, ${position.quantity} @ ` +
+            `$${position.entryPrice.toFixed(4)} | Slippage: ${position.slippage.percent.toFixed(3)}%`
+        );
 
-                if (order.status === 'FILLED') {
-                    this.logger.debug(`✅ Order ${orderId} filled after ${pollCount} checks`);
-                    return order;
-                }
+        if (result.error) {
+            this.logger.error(`❌ ${symbol} sliced entry stopped: ${result.error.msg || result.error.message}`);
+        }
+        // A fill the TP/SL could not be resized for is not fully covered - re-place protection for all of it
+        if (position.slQuantity !== position.quantity) {
+            await this.emergencyRepairPosition({ symbol, side, quantity: position.quantity, entryPrice: position.entryPrice });
+        }
+    }
 
-                if (order.status === 'CANCELED' || order.status === 'EXPIRED' || order.status === 'REJECTED') {
-                    throw new Error(`Order ${orderId} was ${order.status.toLowerCase()}`);
-                }
+    // Places the full protection for position.quantity at the next revision, then cancels the
+    // previous orders - the position is never without a stop while it grows. Prices are kept.
+    async resizeProtection(position, levels, reason) {
+        const { symbol, side, tradeId, quantity } = position;
+        const revision = (position.protectionRevision || 0) + 1;
+        const ladder = await this.buildTakeProfitLadder(symbol, side, position.entryPrice, quantity, levels);
+
+        const placed = await this.placeTPSL(symbol, side, quantity, { ...levels, ladder }, tradeId, revision);
+        if (!placed.tpOrderId || !placed.slOrderId || placed.ladder.some(l => !l.orderId)) {
+            await this.cancelProtectionOrders(symbol, placed);
+            throw new Error(`TP/SL resize to ${quantity} failed - previous protection kept`);
+        }
 
-                // ✅ Adaptive polling with error recovery
-                const elapsed = Date.now() - startTime;
-                const sleepTime = lastError ? 2000 : (elapsed < 5000 ? 500 : 1000);
-                await this.sleep(sleepTime);
-                lastError = null;
+        const previous = { tpOrderId: position.tpOrderId, slOrderId: position.slOrderId, ladder: position.ladder };
+        Object.assign(position, {
+            tpOrderId: placed.tpOrderId,
+            slOrderId: placed.slOrderId,
+            tpClientOrderId: placed.tpClientOrderId,
+            slClientOrderId: placed.slClientOrderId,
+            protectionRevision: revision,
+            slQuantity: quantity,
+            ladder: this.trackedLadder(placed.ladder)
+        });
+        this.storeTPSLOrders(symbol, placed.tpOrderId, placed.slOrderId, side);
+        await this.cancelProtectionOrders(symbol, previous);
 
-            } catch (error) {
-                lastError = error;
-                this.logger.debug(`Retry ${pollCount + 1} for order ${orderId}: ${error.message}`);
+        this.logger.trade(`🔒 ${symbol} ${side} TP/SL resized to ${quantity} (${reason})`);
+    }
 
-                // ✅ Longer wait on API errors
-                await this.sleep(2000);
-            }
+    // === TP/SL MANAGEMENT ===
+    calculateProtectionLevels(entryPrice, side, symbol, indicators = {}) {
+        const levels = this.strategy.calculateLevels(entryPrice, side, symbol);
+        if (config.trading.protectionMode === 'trailing') {
+            levels.trailingStop = this.strategy.calculateTrailingStop(entryPrice, side, indicators);
         }
+        return levels;
+    }
 
-        // ✅ Final verification attempt
-        try {
-            const finalOrder = await this.client.getOrder(symbol, orderId);
-            if (finalOrder.status === 'FILLED') {
-                this.logger.debug(`✅ Order ${orderId} filled on final check`);
-                return finalOrder;
-            }
-            throw new Error(`Order ${orderId} not filled within ${timeout}ms. Final status: ${finalOrder.status}`);
-        } catch (finalError) {
-            throw new Error(`Order ${orderId} verification failed: ${finalError.message}`);
+    async placeTPSL(symbol, side, quantity, levels, tradeId, revision = 0) {
+        const { trailingStop } = levels;
+        if (trailingStop) {
+            const activation = trailingStop.activationPrice
+                ? `from $${trailingStop.activationPrice.toFixed(4)}` : 'immediately';
+            this.logger.trade(`${symbol} Placing trailing stop/SL: trail ${trailingStop.callbackRate}% ${activation}, SL=$${levels.stopLoss.toFixed(4)}`);
+        } else {
+            this.logger.trade(`${symbol} Placing TP/SL: TP=$${levels.takeProfit.toFixed(4)}, SL=$${levels.stopLoss.toFixed(4)}`);
         }
-    }
 
-    // === TP/SL MANAGEMENT ===
-    async placeTPSL(symbol, side, quantity, levels) {
-        this.logger.trade(`${symbol} Placing TP/SL: TP=$${levels.takeProfit.toFixed(4)}, SL=$${levels.stopLoss.toFixed(4)}`);
+        const exitLeg = trailingStop ? ClientOrderId.LEG.TRAILING_STOP : ClientOrderId.LEG.TAKE_PROFIT;
+        const tpClientOrderId = this.clientOrderId(symbol, tradeId, exitLeg, revision);
+        const slClientOrderId = this.clientOrderId(symbol, tradeId, ClientOrderId.LEG.STOP_LOSS, revision);
+        const ladder = (levels.ladder || []).map(level => ({
+            ...level,
+            clientOrderId: this.clientOrderId(symbol, tradeId, ClientOrderId.ladderLeg(level.level), revision)
+        }));
+        if (ladder.length > 0) {
+            this.logger.trade(`${symbol} TP ladder: ${this.ladderLog(ladder)}rest on the ${trailingStop ? 'trailing stop' : 'TP'}`);
+        }
 
         const result = await this.client.placeTP_SL_BatchOrders(
-            symbol, side, quantity, levels.takeProfit, levels.stopLoss
+            symbol, side, quantity, levels.takeProfit, levels.stopLoss,
+            {
+                takeProfitClientOrderId: tpClientOrderId,
+                stopLossClientOrderId: slClientOrderId,
+                positionSide: this.positionSideFor(side),
+                trailingStop,
+                takeProfitLadder: ladder,
+                workingType: config.getSymbolConfig(symbol).workingType
+            }
         );
 
-        const [tpOrder, slOrder] = result;
+        const [tpOrder, slOrder, ...ladderOrders] = result;
+        ladder.forEach((level, i) => {
+            const order = ladderOrders[i];
+            if (order?.orderId && !order.code) {
+                level.orderId = order.orderId;
+            } else {
+                level.error = order;
+                this.logger.error(`TP${level.level} failed: ${order?.msg || order?.code}`);
+            }
+        });
 
         // Check for partial failures
         const tpSuccess = tpOrder?.orderId && !tpOrder.code;
         const slSuccess = slOrder?.orderId && !slOrder.code;
 
         if (!tpSuccess || !slSuccess) {
-            this.handlePartialTPSLFailure(symbol, tpOrder, slOrder);
+            this.handlePartialTPSLFailure(symbol, side, tpOrder, slOrder);
         }
 
         return {
             tpOrderId: tpOrder?.orderId,
-            slOrderId: slOrder?.orderId
+            slOrderId: slOrder?.orderId,
+            tpClientOrderId,
+            slClientOrderId,
+            tpError: tpSuccess ? null : tpOrder,
+            slError: slSuccess ? null : slOrder,
+            ladder
         };
     }
 
+    async cancelProtectionOrders(symbol, { tpOrderId, slOrderId, ladder = [] }) {
+        const ladderOrderIds = ladder.filter(l => !l.filled).map(l => l.orderId);
+        for (const orderId of [tpOrderId, slOrderId, ...ladderOrderIds]) {
+            if (!orderId) continue;
+
+            this.cancelingOrders.add(orderId);
+            try {
+                await this.client.cancelOrder(symbol, orderId);
+                this.orders.delete(`order_${orderId}`);
+            } catch (error) {
+                // Already gone (filled or cancelled) is fine - anything else leaves a duplicate risk
+                if (!BinanceErrors.is(error, BinanceErrors.CATEGORY.ORDER_NOT_FOUND)) throw error;
+            } finally {
+                this.cancelingOrders.delete(orderId);
+            }
+        }
+    }
+
     // Handle partial TP/SL failures
-    handlePartialTPSLFailure(symbol, tpOrder, slOrder) {
+    handlePartialTPSLFailure(symbol, side, tpOrder, slOrder) {
         this.logger.debug(`⚠️ ${symbol} Batch partial failure - monitoring closely`);
-        this.storeTPSLOrders(symbol, tpOrder?.orderId, slOrder?.orderId);
+        this.storeTPSLOrders(symbol, tpOrder?.orderId, slOrder?.orderId, side);
 
         if (tpOrder?.code) this.logger.error(`TP failed: ${tpOrder.msg || tpOrder.code}`);
         if (slOrder?.code) this.logger.error(`SL failed: ${slOrder.msg || slOrder.code}`);
@@ -489,7 +1623,8 @@ class ScalpingBot {
     }
 
     // Verify TP/SL orders exist
-    async verifyOrdersExist(symbol, tpOrderId, slOrderId) {
+    // Take-profit ladder legs count too - a missing one would leave the tracked ladder wrong
+    async verifyOrdersExist(symbol, tpOrderId, slOrderId, ladderOrderIds = []) {
         try {
             // USE SAFETY CONFIG DELAY
             await this.sleep(this.safetyConfig.verificationDelay);
@@ -497,13 +1632,14 @@ class ScalpingBot {
             const openOrders = await this.client.getOpenOrders(symbol);
             const tpExists = openOrders.some(o => o.orderId == tpOrderId);
             const slExists = openOrders.some(o => o.orderId == slOrderId);
+            const missingLadder = ladderOrderIds.filter(id => !openOrders.some(o => o.orderId == id));
 
-            if (tpExists && slExists) {
+            if (tpExists && slExists && missingLadder.length === 0) {
                 this.logger.debug(`✅ TP/SL Verified: ${symbol}`);
                 return true;
             }
 
-            this.logger.debug(`⚠️ TP/SL Verification failed: ${symbol} - TP: ${tpExists}, SL: ${slExists}`);
+            this.logger.debug(`⚠️ TP/SL Verification failed: ${symbol} - TP: ${tpExists}, SL: ${slExists}, ladder missing: ${missingLadder.join(', ') || 'none'}`);
             return false;
         } catch (error) {
             this.logger.error(`Verification error for ${symbol}: ${error.message}`);
@@ -511,67 +1647,375 @@ class ScalpingBot {
         }
     }
 
-    storeTPSLOrders(symbol, tpOrderId, slOrderId) {
+    storeTPSLOrders(symbol, tpOrderId, slOrderId, side = null) {
+        const key = this.positionKey(symbol, side);
         if (tpOrderId) {
             this.logger.trade(`TP placed: ${tpOrderId}`);
-            this.orders.set(`${symbol}_TP`, tpOrderId);
+            this.orders.set(`${key}_TP`, tpOrderId);
             this.orders.set(`order_${tpOrderId}`, { type: 'TP', symbol });
         }
         if (slOrderId) {
             this.logger.trade(`SL placed: ${slOrderId}`);
-            this.orders.set(`${symbol}_SL`, slOrderId);
+            this.orders.set(`${key}_SL`, slOrderId);
             this.orders.set(`order_${slOrderId}`, { type: 'SL', symbol });
         }
     }
 
-    // === EMERGENCY OPERATIONS ===
-    async emergencyClose(symbol) {
+    // === STOP MANAGEMENT ===
+    // Stop price per profit stage (R = initialRisk, the entry-to-stop distance at open): breakeven first,
+    // then the configured steps, each offset by the fee buffer
+    stopStages(position) {
+        const { breakevenAtR, feeBufferPercent, steps = [] } = config.trading.stopManagement;
+        const direction = position.side === 'BUY' ? 1 : -1;
+        const feeBuffer = position.entryPrice * feeBufferPercent / 100;
+
+        return [{ atR: breakevenAtR, lockR: 0 }, ...steps]
+            .sort((a, b) => a.atR - b.atR)
+            .map(({ atR, lockR }) => ({
+                atR,
+                label: lockR > 0 ? `lock ${lockR}R` : 'breakeven',
+                stopPrice: position.entryPrice + direction * (feeBuffer + lockR * position.initialRisk)
+            }));
+    }
+
+    isTighterStop(position, stopPrice) {
+        return position.side === 'BUY' ? stopPrice > position.stopLoss : stopPrice < position.stopLoss;
+    }
+
+    async manageStops(livePositions) {
+        const { enabled } = config.trading.stopManagement;
+
+        for (const [positionId, position] of Array.from(this.positions.entries())) {
+            if (!this.lifecycle.is(position, STATE.PROTECTED) || this.isProtectOnly(position)) continue;
+
+            const live = livePositions.find(p => p.symbol === position.symbol && p.side === position.side);
+            if (!live) continue;
+
+            // Without the user data stream a ladder fill only shows up as a smaller position
+            if (position.ladder?.length && live.quantity < position.quantity) {
+                await this.syncLadderFills(positionId, position);
+            }
+
+            let stopPrice = position.stopLoss;
+            let reason = position.slQuantity && position.slQuantity !== position.quantity
+                ? `resize to ${position.quantity}` : null;
+
+            if (enabled && position.initialRisk && live.markPrice) {
+                const direction = position.side === 'BUY' ? 1 : -1;
+                const profitR = direction * (live.markPrice - position.entryPrice) / position.initialRisk;
+                const stage = this.stopStages(position)
+                    .filter(s => profitR >= s.atR && this.isTighterStop(position, s.stopPrice))
+                    .pop();
+                if (stage) {
+                    stopPrice = stage.stopPrice;
+                    reason = `${stage.label} at ${profitR.toFixed(2)}R`;
+                }
+            }
+            if (!reason) continue;
+
+            try {
+                await this.replaceStopLoss(position, { stopPrice, quantity: position.quantity }, reason);
+            } catch (error) {
+                this.logger.error(error.message, `Stop replace failed: ${position.symbol}`);
+            }
+        }
+    }
+
+    // Place the new stop, then cancel the old one - the position is never without a stop. Both stay
+    // matched to the position during the swap, and a rejected placement leaves the old stop working.
+    async replaceStopLoss(position, { stopPrice = position.stopLoss, quantity = position.quantity }, reason) {
+        const { symbol, side, tradeId } = position;
+        const lockKey = this.getTradeLockKey(symbol, side);
+        if (this.pendingOperations.has(lockKey)) return;
+        this.pendingOperations.set(lockKey, true);
+
+        const previous = {
+            slOrderId: position.slOrderId,
+            slClientOrderId: position.slClientOrderId,
+            stopLoss: position.stopLoss,
+            slQuantity: position.slQuantity
+        };
+        const revision = (position.protectionRevision || 0) + 1;
+
         try {
-            this.logger.error(`🚨 EMERGENCY CLOSE: ${symbol}`);
+            position.slClientOrderId = this.clientOrderId(symbol, tradeId, ClientOrderId.LEG.STOP_LOSS, revision);
 
-            // ✅ Use cache first for faster response
-            let currentPosition = null;
-            const cachedPositions = this.positionCache.data.filter(p =>
-                p.symbol === symbol && Math.abs(parseFloat(p.positionAmt)) > 0
-            );
+            let newOrder;
+            try {
+                newOrder = await this.client.placeStopMarketOrder(
+                    symbol, side === 'BUY' ? 'SELL' : 'BUY', quantity, stopPrice,
+                    {
+                        clientOrderId: position.slClientOrderId,
+                        positionSide: this.positionSideFor(side),
+                        workingType: config.getSymbolConfig(symbol).workingType
+                    }
+                );
+            } catch (error) {
+                position.slClientOrderId = previous.slClientOrderId;
+                this.logger.warn(`${symbol} stop replace at $${stopPrice.toFixed(4)} rejected (${error.msg || error.message}) - keeping $${previous.stopLoss.toFixed(4)}`);
+                return;
+            }
+
+            this.cancelingOrders.add(previous.slOrderId);
+            try {
+                await this.client.cancelOrder(symbol, previous.slOrderId);
+            } catch (error) {
+                const oldStop = BinanceErrors.is(error, BinanceErrors.CATEGORY.ORDER_NOT_FOUND)
+                    ? await this.client.getOrder(symbol, previous.slOrderId).catch(() => null)
+                    : null;
+                // Old stop already filled (or unknown state) - a second stop on a flat position must not stay
+                if (!oldStop || oldStop.status === 'FILLED') {
+                    await this.cancelProtectionOrders(symbol, { slOrderId: newOrder.orderId });
+                    position.slClientOrderId = previous.slClientOrderId;
+                    throw error;
+                }
+            } finally {
+                this.cancelingOrders.delete(previous.slOrderId);
+            }
+
+            this.orders.delete(`order_${previous.slOrderId}`);
+            position.slOrderId = newOrder.orderId;
+            position.stopLoss = newOrder.stopPrice || stopPrice;
+            if (position.stopLoss !== previous.stopLoss) position.stopReanchored = false;
+            position.slQuantity = quantity;
+            position.protectionRevision = revision;
+            this.storeTPSLOrders(symbol, null, newOrder.orderId, side);
+
+            const changes = [];
+            if (stopPrice !== previous.stopLoss) {
+                changes.push(`stop moved $${previous.stopLoss.toFixed(4)} → $${position.stopLoss.toFixed(4)}`);
+            }
+            if (quantity !== previous.slQuantity) {
+                changes.push(`stop size ${previous.slQuantity} → ${quantity}`);
+            }
+            this.logger.trade(`🔒 ${symbol} ${side} ${changes.join(', ') || 'stop replaced'} (${reason})`);
+        } finally {
+            this.pendingOperations.delete(lockKey);
+        }
+    }
+
+    // === TAKE-PROFIT LADDER ===
+    // Splits the entry over the symbol's TP ladder in LOT_SIZE steps; what is left closes on the TP or
+    // trailing leg. Levels too small to trade, or past the final TP, fold into that remainder.
+    async buildTakeProfitLadder(symbol, side, entryPrice, quantity, levels) {
+        const { takeProfitLadder } = config.getSymbolConfig(symbol);
+        if (takeProfitLadder.length === 0) return [];
+
+        const rules = await this.client.getSymbolRules(symbol);
+        const totalSteps = Math.round(quantity / rules.stepSize);
+        const tradeable = (steps, price) => {
+            const legQuantity = this.client.remainingQuantity(steps * rules.stepSize, [], rules.stepSize);
+            return legQuantity >= rules.minQty && legQuantity * price >= rules.minNotional;
+        };
+
+        const ladder = [];
+        for (const level of this.strategy.calculateTakeProfitLadder(entryPrice, side, levels.stopLoss, takeProfitLadder)) {
+            const pastTakeProfit = !levels.trailingStop &&
+                (side === 'BUY' ? level.price >= levels.takeProfit : level.price <= levels.takeProfit);
+            const steps = Math.floor(totalSteps * level.percent / 100);
+            if (pastTakeProfit || !tradeable(steps, level.price)) continue;
+            ladder.push({ ...level, steps });
+        }
+
+        // The remainder has to be tradeable as well
+        const remainderPrice = levels.trailingStop ? entryPrice : levels.takeProfit;
+        while (ladder.length > 0 &&
+            !tradeable(totalSteps - ladder.reduce((sum, level) => sum + level.steps, 0), remainderPrice)) {
+            ladder.pop();
+        }
+
+        return ladder.map(({ level, price, steps }) => ({
+            level,
+            price,
+            quantity: this.client.remainingQuantity(steps * rules.stepSize, [], rules.stepSize)
+        }));
+    }
+
+    trackedLadder(ladder = []) {
+        return ladder
+            .filter(level => level.orderId)
+            .map(({ level, price, quantity, orderId, clientOrderId }) =>
+                ({ level, price, quantity, orderId, clientOrderId, filled: false }));
+    }
+
+    ladderLog(ladder = []) {
+        return ladder.map(level => `TP${level.level}: ${level.quantity} @ $${level.price.toFixed(4)} | `).join('');
+    }
+
+    // A ladder leg closed part of the position: book that exit, then shrink the stop to what is left
+    async handleLadderFill(positionId, position, leg, fill) {
+        if (leg.filled || !this.positions.has(positionId)) return;
+        leg.filled = true;
+
+        const rules = await this.client.getSymbolRules(position.symbol);
+        const quantity = fill.executedQty || leg.quantity;
+        const exit = { ...fill, avgPrice: fill.avgPrice || leg.price };
+        position.quantity = this.client.remainingQuantity(position.quantity, [quantity], rules.stepSize);
+
+        this.logger.position(
+            `PARTIAL - ${position.symbol} | ${position.side} | ${quantity} @ $${position.entryPrice.toFixed(4)} | ` +
+            `${this.exitSummary(position, quantity, exit)} | Reason: TAKE_PROFIT_${leg.level} | ` +
+            `Remaining: ${position.quantity} | TradeID: ${position.positionId}`
+        );
+
+        await this.replaceStopLoss(position, { quantity: position.quantity }, `TP${leg.level} filled`);
+    }
+
+    async syncLadderFills(positionId, position) {
+        for (const leg of position.ladder.filter(l => !l.filled)) {
+            const order = await this.client.getOrder(position.symbol, leg.orderId).catch(() => null);
+            if (order?.status === 'FILLED') {
+                await this.handleLadderFill(positionId, position, leg, order);
+            }
+        }
+    }
+
+    // === TIME EXITS ===
+    async checkTimeExits(livePositions) {
+        for (const [positionId, position] of Array.from(this.positions.entries())) {
+            if (!this.lifecycle.is(position, STATE.PROTECTED) || this.isProtectOnly(position)) continue;
+
+            const live = livePositions.find(p => p.symbol === position.symbol && p.side === position.side);
+            if (!live?.markPrice) continue;
+
+            const direction = position.side === 'BUY' ? 1 : -1;
+            const profitR = position.initialRisk
+                ? direction * (live.markPrice - position.entryPrice) / position.initialRisk
+                : 0;
+            const heldMs = Date.now() - position.timestamp;
+            const reason = this.strategy.checkTimeExit(position.symbol, heldMs, profitR);
+            if (!reason) continue;
+
+            this.logger.trade(`⏰ ${position.symbol} ${position.side} ${reason} after ${Math.round(heldMs / 60000)}m at ${profitR.toFixed(2)}R - flattening`);
+            try {
+                await this.flattenPosition(positionId, position, reason);
+            } catch (error) {
+                this.logger.error(error.message, `Time exit failed: ${position.symbol}`);
+            }
+        }
+    }
+
+    // Cancels the position's TP/SL and ladder, then closes it with a reduce-only market order.
+    // A failed or short close leaves the rest bare, so it is re-protected right away at its live size.
+    async flattenPosition(positionId, position, reason) {
+        const { symbol, side, tradeId } = position;
+        const lockKey = this.getTradeLockKey(symbol, side);
+        if (this.pendingOperations.has(lockKey)) return;
+        this.pendingOperations.set(lockKey, true);
+
+        // Claimed here - the flat-position event must not book this as a manual close
+        if (!this.lifecycle.transition(position, STATE.CLOSING, reason)) {
+            this.pendingOperations.delete(lockKey);
+            return;
+        }
+        let avgPrice = 0;
+        try {
+            const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
+            let closeRevision = (position.protectionRevision || 0) + 1;
+            const closeOrder = async (quantity, allowPartial = true) => {
+                const order = await this.client.placeMarketOrder(symbol, closeSide, quantity, {
+                    clientOrderId: this.clientOrderId(symbol, tradeId, ClientOrderId.LEG.CLOSE, closeRevision++),
+                    positionSide: this.positionSideFor(side),
+                    reduceOnly: !this.hedgeMode
+                });
+                return this.waitForOrderFill(order.orderId, symbol, this.ORDER_FILL_TIMEOUT, { allowPartial });
+            };
+
+            // Sliced, the TP/SL stay on until the last child - they are reduce-only, so they only
+            // ever close what is still open
+            const slicer = await this.createSlicer(symbol, closeSide, position.quantity);
+            let sliced = { executedQty: 0, avgPrice: 0 };
+            if (slicer.children.length > 1) {
+                this.logger.trade(`🧊 ${symbol} ${side} close of ${position.quantity} sliced into ${slicer.children.length} orders`);
+                sliced = await slicer.execute(slicer.children, closeOrder);
+                if (!sliced.complete) {
+                    this.logger.warn(`${symbol} sliced close stopped at ${sliced.executedQty}/${position.quantity}${sliced.error ? ` (${sliced.error.msg || sliced.error.message})` : ''} - closing the rest at once`);
+                }
+            }
+
+            await this.cancelProtectionOrders(symbol, position);
+
+            const rules = await this.client.getSymbolRules(symbol);
+            const rest = this.client.remainingQuantity(position.quantity, [sliced.executedQty], rules.stepSize);
+            avgPrice = sliced.avgPrice;
+            if (rest > 0) {
+                // The protection is gone - the last close has to fill completely
+                const filled = await closeOrder(rest, false);
+                avgPrice = (sliced.executedQty * sliced.avgPrice + filled.executedQty * filled.avgPrice) /
+                    (sliced.executedQty + filled.executedQty);
+            }
+
+            const live = await this.livePosition(symbol, side);
+            if (live) throw new Error(`${live.quantity} still open after the close`);
+            await this.closePositionByOrder(positionId, position, reason, { avgPrice });
+        } catch (error) {
+            let live = position;
+            try {
+                live = await this.livePosition(symbol, side);
+            } catch (lookupError) {
+                this.logger.warn(`${symbol} position lookup failed (${lookupError.message}) - repairing the tracked size`);
+            }
 
-            if (cachedPositions.length > 0 && Date.now() - this.positionCache.timestamp < 10000) {
-                currentPosition = cachedPositions[0];
-                this.logger.debug(`🚨 Using cached position data for emergency close`);
+            if (!live) {
+                // Flat after all (the close filled late) - book it
+                await this.closePositionByOrder(positionId, position, reason, { avgPrice: avgPrice || await this.client.getPrice(symbol) });
             } else {
-                // Fallback to API call
+                this.logger.error(`❌ ${symbol} ${reason} close failed: ${error.message} - restoring protection for ${live.quantity}`);
+                await this.emergencyRepairPosition(live);
+            }
+        } finally {
+            this.pendingOperations.delete(lockKey);
+        }
+    }
+
+    // === EMERGENCY OPERATIONS ===
+    // `side` picks the position to close in hedge mode - the opposite side is left alone
+    async emergencyClose(symbol, tradeId = null, side = null) {
+        const matches = p => p.symbol === symbol && (!this.hedgeMode || !side || p.side === side);
+
+        try {
+            this.logger.error(`🚨 EMERGENCY CLOSE: ${symbol}${this.hedgeMode && side ? ` ${side}` : ''}`);
+
+            // Fresh size first - a stale one closes too little, or (without reduceOnly) flips the position
+            let currentPosition = null;
+            try {
                 const positions = await this.client.getOpenPositions();
-                currentPosition = positions.find(p => p.symbol === symbol);
+                currentPosition = positions.find(matches);
+            } catch (error) {
+                // Cache as a last resort - the reduce-only close below can't overshoot in one-way mode
+                currentPosition = this.positionCache.data.find(matches);
+                this.logger.warn(`🚨 Position fetch failed (${error.message}) - using cached size for emergency close`);
             }
 
             if (!currentPosition) {
                 this.logger.error(`🚨 No current position found for ${symbol}`);
-                this.cleanupPositionTracking(symbol);
+                this.cleanupPositionTracking(symbol, side);
                 return;
             }
 
-            const positionAmt = parseFloat(currentPosition.positionAmt);
-            const currentSize = Math.abs(positionAmt);
+            const currentSize = currentPosition.quantity;
 
             if (currentSize === 0) {
                 this.logger.error(`🚨 Position size is 0 for ${symbol}`);
-                this.cleanupPositionTracking(symbol);
+                this.cleanupPositionTracking(symbol, side);
                 return;
             }
 
-            const closeSide = positionAmt > 0 ? 'SELL' : 'BUY';
+            side = currentPosition.side;
+            const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
 
-            const trackedPosition = this.findTrackedPosition(
-                symbol,
-                currentSize,
-                parseFloat(currentPosition.entryPrice)
-            );
+            const trackedPosition = this.findTrackedPosition(symbol, side);
+            const closeTradeId = tradeId || trackedPosition?.tradeId || ClientOrderId.newTradeId();
 
             this.logger.error(`🚨 Closing position: ${currentSize} ${symbol}`);
-            const result = await this.client.placeMarketOrder(symbol, closeSide, currentSize);
+            const result = await this.client.placeMarketOrder(symbol, closeSide, currentSize, {
+                clientOrderId: this.clientOrderId(symbol, closeTradeId, ClientOrderId.LEG.CLOSE),
+                positionSide: this.positionSideFor(side),
+                reduceOnly: !this.hedgeMode
+            });
 
             if (trackedPosition) {
-                const exitPrice = parseFloat(result.avgPrice) || await this.client.getPrice(symbol);
+                const exitPrice = result.avgPrice || await this.client.getPrice(symbol);
                 const pnl = trackedPosition.side === 'BUY'
                     ? (exitPrice - trackedPosition.entryPrice) * trackedPosition.quantity
                     : (trackedPosition.entryPrice - exitPrice) * trackedPosition.quantity;
@@ -582,22 +2026,30 @@ class ScalpingBot {
                     `Exit: $${exitPrice.toFixed(4)} | PnL: $${pnl.toFixed(2)} | ` +
                     `Reason: EMERGENCY | TradeID: ${trackedPosition.positionId}`
                 );
+                await this.cancelSiblingOrders(trackedPosition);
             }
 
-            this.cleanupPositionTracking(symbol);
+            this.cleanupPositionTracking(symbol, side);
         } catch (error) {
             this.logger.error(`🚨 EMERGENCY CLOSE FAILED: ${symbol} - ${error.message}`);
-            this.cleanupPositionTracking(symbol);
+            this.cleanupPositionTracking(symbol, side);
         }
     }
 
-    cleanupPositionTracking(symbol) {
+    cleanupPositionTracking(symbol, side = null) {
         for (const [positionId, position] of this.positions.entries()) {
-            if (position.symbol === symbol) {
-                this.positions.delete(positionId);
+            if (position.symbol === symbol && (!this.hedgeMode || !side || position.side === side)) {
+                this.untrackPosition(positionId, position, 'EMERGENCY');
             }
         }
-        this.cleanupPositionOrders(symbol);
+        this.cleanupPositionOrders(symbol, side);
+    }
+
+    // Every way a tracked position ends - exit fill, close, or tracking found stale
+    untrackPosition(positionId, position, reason) {
+        this.lifecycle.transition(position, STATE.CLOSED, reason);
+        this.positions.delete(positionId);
+        this.cleanupPositionOrders(position.symbol, position.side);
     }
 
     // === MEMORY MANAGEMENT ===
@@ -624,59 +2076,15 @@ class ScalpingBot {
             // ✅ STEP 2: ONE API call to get all open positions
             const openPositions = await this.client.getOpenPositions();
 
-            // ✅ STEP 3: Build a NESTED MAP for O(1) lookups
-            // Structure: Map<symbol, Map<quantity, Map<entryPrice, position>>>
-            const activePositionsMap = new Map();
-
-            for (const p of openPositions) {
-                const positionAmt = Math.abs(parseFloat(p.positionAmt));
-                if (positionAmt === 0) continue;
-
-                const symbol = p.symbol;
-                const entryPrice = parseFloat(p.entryPrice);
-
-                if (!activePositionsMap.has(symbol)) {
-                    activePositionsMap.set(symbol, new Map());
-                }
-                const quantityMap = activePositionsMap.get(symbol);
-
-                if (!quantityMap.has(positionAmt)) {
-                    quantityMap.set(positionAmt, new Map());
-                }
-                const priceMap = quantityMap.get(positionAmt);
-
-                priceMap.set(entryPrice, p);
-            }
-
-            // ✅ STEP 4: Ultra-fast lookup with tolerance checks
+            // ✅ STEP 3: Positions are tracked per symbol - match on symbol and side
             let cleanedCount = 0;
             for (const { positionId, position } of stalePositions) {
-                let stillActive = false;
-
-                // ✅ FIRST: Check exact symbol (O(1))
-                if (activePositionsMap.has(position.symbol)) {
-                    const quantityMap = activePositionsMap.get(position.symbol);
-
-                    // ✅ SECOND: Check quantities with tolerance
-                    for (const [activeQty, priceMap] of quantityMap.entries()) {
-                        if (Math.abs(activeQty - position.quantity) < this.FLOATING_POINT_TOLERANCE) {
-
-                            // ✅ THIRD: Check prices with tolerance  
-                            for (const [activePrice] of priceMap.entries()) {
-                                if (Math.abs(activePrice - position.entryPrice) < this.FLOATING_POINT_TOLERANCE) {
-                                    stillActive = true;
-                                    break;
-                                }
-                            }
-                            if (stillActive) break;
-                        }
-                    }
-                }
+                const stillActive = openPositions.some(p =>
+                    p.symbol === position.symbol && p.side === position.side);
 
                 if (!stillActive) {
                     this.logger.debug(`🧹 Removing stale position tracking: ${positionId}`);
-                    this.positions.delete(positionId);
-                    this.cleanupPositionOrders(position.symbol);
+                    this.untrackPosition(positionId, position, 'STALE_TRACKING');
                     cleanedCount++;
                 }
             }
@@ -709,7 +2117,17 @@ class ScalpingBot {
                 await this.checkUnprotectedPositions();
             }
 
-            await this.monitorPositionClosures();
+            const livePositions = await this.client.getOpenPositions();
+            this.updatePositionCache(livePositions, Date.now());
+
+            // Stop moves, and stop resizes after partial take-profits
+            await this.manageStops(livePositions);
+            await this.checkTimeExits(livePositions);
+
+            // Fills arrive as events while the user data stream is up - poll only as a fallback
+            if (!this.hasLiveUserData()) {
+                await this.monitorPositionClosures();
+            }
         } catch (error) {
             this.logger.error(error.message, 'Monitoring error');
         }
@@ -720,12 +2138,12 @@ class ScalpingBot {
         if (positionsSnapshot.length === 0) return;
 
         for (const [positionId, position] of positionsSnapshot) {
-            if (this.isInCooldown(position.symbol)) continue;
+            if (this.isInCooldown(this.positionKey(position.symbol, position.side))) continue;
             if (!this.positions.has(positionId)) continue;
 
             try {
                 // ✅ STEP 1: Check if position actually exists
-                const positionExists = await this.hasOpenPosition(position.symbol);
+                const positionExists = await this.hasOpenPosition(position.symbol, position.side);
 
                 if (!positionExists) {
                     // ✅ STEP 2: Position closed - find REAL reason
@@ -738,16 +2156,21 @@ class ScalpingBot {
     }
 
     async findRealClosureReason(positionId, position) {
+        // A bot-initiated close in flight books its own exit
+        if (this.lifecycle.is(position, STATE.CLOSING)) return;
+
         let reason = 'MANUAL_CLOSE';
         let exitPrice = position.entryPrice;
+        let filledOrderId = null;
 
         // ✅ CHECK SL ORDER FIRST - MOST IMPORTANT FIX!
         if (position.slOrderId) {
             try {
                 const slOrder = await this.client.getOrder(position.symbol, position.slOrderId);
                 if (slOrder.status === 'FILLED') {
-                    reason = 'STOP_LOSS';
-                    exitPrice = parseFloat(slOrder.avgPrice) || position.stopLoss;
+                    reason = this.stopLegReason(position);
+                    exitPrice = slOrder.avgPrice || position.stopLoss;
+                    filledOrderId = slOrder.orderId;
                 }
             } catch (error) {
                 // SL order not found
@@ -759,8 +2182,9 @@ class ScalpingBot {
             try {
                 const tpOrder = await this.client.getOrder(position.symbol, position.tpOrderId);
                 if (tpOrder.status === 'FILLED') {
-                    reason = 'TAKE_PROFIT';
-                    exitPrice = parseFloat(tpOrder.avgPrice) || position.takeProfit;
+                    reason = this.exitLegReason(position);
+                    exitPrice = tpOrder.avgPrice || position.takeProfit;
+                    filledOrderId = tpOrder.orderId;
                 }
             } catch (error) {
                 // TP order not found
@@ -769,6 +2193,7 @@ class ScalpingBot {
 
         // ✅ CLOSE THE POSITION WITH CORRECT REASON
         await this.closePositionByOrder(positionId, position, reason, {
+            orderId: filledOrderId,
             avgPrice: exitPrice
         });
     }
@@ -780,6 +2205,7 @@ class ScalpingBot {
 
             let closureReason = 'UNKNOWN';
             let exitPrice = position.entryPrice; // Default to avoid errors
+            let filledOrderId = null;
 
             try {
                 // ✅ CHECK SL ORDER FIRST (most common closure)
@@ -787,8 +2213,9 @@ class ScalpingBot {
                     try {
                         const slOrder = await this.client.getOrder(symbol, position.slOrderId);
                         if (slOrder.status === 'FILLED') {
-                            closureReason = 'STOP_LOSS';
-                            exitPrice = parseFloat(slOrder.avgPrice) || position.stopLoss;
+                            closureReason = this.stopLegReason(position);
+                            exitPrice = slOrder.avgPrice || position.stopLoss;
+                            filledOrderId = slOrder.orderId;
                         }
                     } catch (error) {
                         // Order not found - might be filled
@@ -801,8 +2228,9 @@ class ScalpingBot {
                     try {
                         const tpOrder = await this.client.getOrder(symbol, position.tpOrderId);
                         if (tpOrder.status === 'FILLED') {
-                            closureReason = 'TAKE_PROFIT';
-                            exitPrice = parseFloat(tpOrder.avgPrice) || position.takeProfit;
+                            closureReason = this.exitLegReason(position);
+                            exitPrice = tpOrder.avgPrice || position.takeProfit;
+                            filledOrderId = tpOrder.orderId;
                         } else if (tpOrder.status === 'CANCELED') {
                             closureReason = 'MANUAL_CLOSE'; // TP canceled but position closed
                         }
@@ -820,6 +2248,7 @@ class ScalpingBot {
 
                 // ✅ LOG THE CLOSURE
                 await this.closePositionByOrder(positionId, position, closureReason, {
+                    orderId: filledOrderId,
                     avgPrice: exitPrice
                 });
 
@@ -846,7 +2275,7 @@ class ScalpingBot {
             const slMissing = position.slOrderId && !openOrderIds.has(position.slOrderId.toString());
 
             if (tpMissing || slMissing) {
-                this.logger.warn(`⚠️ Missing TP/SL orders for ${symbol}, may need repair`);
+                this.logger.warn(`Missing TP/SL orders for ${symbol}, may need repair`);
                 // Could trigger emergency repair here
             }
         }
@@ -864,31 +2293,36 @@ class ScalpingBot {
             const canceledTP_SL = [];
 
             for (const position of openPositions) {
-                const positionAmt = parseFloat(position.positionAmt);
-                if (Math.abs(positionAmt) === 0) continue;
-
-                const symbolOrders = allOpenOrders.filter(o => o.symbol === position.symbol);
-                const hasTP_SL = symbolOrders.some(order =>
-                    ['TAKE_PROFIT', 'STOP_MARKET'].includes(order.type)
-                );
+                // In hedge mode only orders on the same positionSide protect this position
+                const symbolOrders = allOpenOrders.filter(o => o.symbol === position.symbol &&
+                    (!this.hedgeMode || o.positionSide === position.positionSide));
+                let trackedPosition = this.findTrackedPosition(position.symbol, position.side);
+
+                // Untracked and not mid-entry: opened outside the bot - adopted the way a restart would
+                if (!trackedPosition) {
+                    if (this.pendingOperations.has(this.getTradeLockKey(position.symbol, position.side))) continue;
+                    if (!await this.recoverSinglePosition(position, allOpenOrders)) continue;
+                    trackedPosition = this.findTrackedPosition(position.symbol, position.side);
+                }
 
-                if (!hasTP_SL) {
-                    unprotected.push(position);
+                if (trackedPosition?.tpOrderId || trackedPosition?.slOrderId) {
+                    // ✅ Match the tracked trade's own TP/SL, not just any stop on the symbol
+                    const tpOpen = symbolOrders.some(o => o.orderId == trackedPosition.tpOrderId ||
+                        (trackedPosition.tpClientOrderId && o.clientOrderId === trackedPosition.tpClientOrderId));
+                    const slOpen = symbolOrders.some(o => o.orderId == trackedPosition.slOrderId ||
+                        (trackedPosition.slClientOrderId && o.clientOrderId === trackedPosition.slClientOrderId));
+
+                    if (!tpOpen && !slOpen) {
+                        unprotected.push(position);
+                    } else if (!tpOpen || !slOpen) {
+                        canceledTP_SL.push(position);
+                    }
                 } else {
-                    // ✅ CHECK FOR CANCELED ORDERS USING EXISTING DATA
-                    const trackedPosition = this.findTrackedPosition(
-                        position.symbol,
-                        Math.abs(positionAmt),
-                        parseFloat(position.entryPrice)
+                    const hasTP_SL = symbolOrders.some(order =>
+                        ['TAKE_PROFIT', 'TRAILING_STOP_MARKET', 'STOP_MARKET'].includes(order.type)
                     );
-
-                    if (trackedPosition?.tpOrderId || trackedPosition?.slOrderId) {
-                        const tpOrder = symbolOrders.find(o => o.orderId == trackedPosition.tpOrderId);
-                        const slOrder = symbolOrders.find(o => o.orderId == trackedPosition.slOrderId);
-
-                        if (!tpOrder || !slOrder) {
-                            canceledTP_SL.push(position);
-                        }
+                    if (!hasTP_SL) {
+                        unprotected.push(position);
                     }
                 }
             }
@@ -898,7 +2332,7 @@ class ScalpingBot {
                 this.logger.debug(`Found ${unprotected.length} unprotected positions`);
                 if (this.safetyConfig.emergencyRepair) {
                     for (const position of unprotected) {
-                        await this.emergencyRepairPosition(position);
+                        await this.repairProtection(position);
                     }
                 }
             }
@@ -908,7 +2342,7 @@ class ScalpingBot {
                 this.logger.debug(`Found ${canceledTP_SL.length} positions with canceled TP/SL`);
                 if (this.safetyConfig.emergencyRepair) {
                     for (const position of canceledTP_SL) {
-                        await this.emergencyRepairPosition(position);
+                        await this.repairProtection(position);
                     }
                 }
             }
@@ -918,45 +2352,92 @@ class ScalpingBot {
         }
     }
 
+    // Takes the trade lock - a repair must not race an entry, stop move or close of the same position,
+    // which would leave two sets of orders (or the wrong IDs tracked). A held lock means try next check.
+    async repairProtection(position) {
+        const lockKey = this.getTradeLockKey(position.symbol, position.side);
+        if (this.pendingOperations.has(lockKey)) return;
+        this.pendingOperations.set(lockKey, true);
+        try {
+            await this.emergencyRepairPosition(position);
+        } finally {
+            this.pendingOperations.delete(lockKey);
+        }
+    }
+
     // Emergency repair for unprotected positions
     async emergencyRepairPosition(position) {
+        const trackedPosition = this.findTrackedPosition(position.symbol, position.side);
         try {
-            const symbol = position.symbol;
-            const positionAmt = parseFloat(position.positionAmt);
-            const quantity = Math.abs(positionAmt);
-            const entryPrice = parseFloat(position.entryPrice);
-            const side = positionAmt > 0 ? 'BUY' : 'SELL';
+            const { symbol, side, quantity, entryPrice } = position;
 
             this.logger.debug(`🛠️ EMERGENCY REPAIR: ${symbol} ${side} ${quantity} @ $${entryPrice}`);
+            if (trackedPosition) this.lifecycle.transition(trackedPosition, STATE.REPAIRING, 'protection lost');
 
             // USE THE ORIGINAL ENTRY PRICE, not current price!
-            const repairedLevels = this.strategy.calculateLevels(entryPrice, side, symbol);
+            const repairedLevels = this.calculateProtectionLevels(entryPrice, side, symbol);
 
             this.logger.debug(`🛠️ Repair levels - TP: $${repairedLevels.takeProfit}, SL: $${repairedLevels.stopLoss}`);
 
+            // Repairs stay attributed to the tracked trade, with a new protection revision
+            const tradeId = trackedPosition?.tradeId || ClientOrderId.newTradeId();
+            const revision = trackedPosition ? (trackedPosition.protectionRevision || 0) + 1 : 0;
+
+            // Never hand back profit a moved stop already locked in
+            if (trackedPosition?.stopLoss && !this.isTighterStop(trackedPosition, repairedLevels.stopLoss)) {
+                repairedLevels.stopLoss = trackedPosition.stopLoss;
+            }
+
+            // Ladder levels that haven't filled are re-placed - as long as something is left for the exit leg
+            const rules = await this.client.getSymbolRules(symbol);
+            const openLadder = (trackedPosition?.ladder || []).filter(l => !l.filled)
+                .map(({ level, price, quantity: levelQuantity }) => ({ level, price, quantity: levelQuantity }));
+            const exitQuantity = this.client.remainingQuantity(quantity, openLadder.map(l => l.quantity), rules.stepSize);
+            repairedLevels.ladder = exitQuantity >= rules.minQty ? openLadder : [];
+
+            // Whatever is left of the old TP/SL would otherwise double up with the new pair
+            if (trackedPosition) {
+                await this.cancelProtectionOrders(symbol, trackedPosition);
+            }
+
+            // An activation price the market already passed is rejected (-2021) - trail from here instead
+            if (repairedLevels.trailingStop?.activationPrice) {
+                const currentPrice = await this.client.getPrice(symbol);
+                const activated = side === 'BUY'
+                    ? currentPrice >= repairedLevels.trailingStop.activationPrice
+                    : currentPrice <= repairedLevels.trailingStop.activationPrice;
+                if (activated) repairedLevels.trailingStop.activationPrice = null;
+            }
+
             // Place new TP/SL orders
-            const newTpSlOrders = await this.placeTPSL(symbol, side, quantity, repairedLevels);
+            const newTpSlOrders = await this.placeTPSL(symbol, side, quantity, repairedLevels, tradeId, revision);
 
             // Store the new order IDs
-            this.storeTPSLOrders(symbol, newTpSlOrders.tpOrderId, newTpSlOrders.slOrderId);
-
-            // Use helper method for position finding
-            this.logger.debug(`🔍 Looking for position: ${symbol} ${side} ${quantity} @ $${entryPrice}`);
-            const trackedPosition = this.findTrackedPosition(symbol, quantity, entryPrice);
+            this.storeTPSLOrders(symbol, newTpSlOrders.tpOrderId, newTpSlOrders.slOrderId, side);
 
             if (trackedPosition) {
                 this.logger.debug(`✅ Found tracked position: ${trackedPosition.positionId}`);
                 trackedPosition.tpOrderId = newTpSlOrders.tpOrderId;
                 trackedPosition.slOrderId = newTpSlOrders.slOrderId;
+                trackedPosition.tpClientOrderId = newTpSlOrders.tpClientOrderId;
+                trackedPosition.slClientOrderId = newTpSlOrders.slClientOrderId;
+                trackedPosition.protectionRevision = revision;
                 trackedPosition.stopLoss = repairedLevels.stopLoss;
                 trackedPosition.takeProfit = repairedLevels.takeProfit;
+                trackedPosition.trailingStop = repairedLevels.trailingStop || null;
+                trackedPosition.quantity = quantity;
+                trackedPosition.slQuantity = quantity;
+                trackedPosition.ladder = this.trackedLadder(newTpSlOrders.ladder);
+                // Without a stop it stays REPAIRING and the next protection check tries again
+                this.lifecycle.transition(trackedPosition, STATE.PROTECTED, `protection re-placed, revision ${revision}`);
                 this.logger.debug(`✅ Position tracking updated: ${symbol}`);
             } else {
                 // Create new tracking if not found
                 this.logger.debug(`🆕 Creating new position tracking for ${symbol}`);
-                const positionId = this.generatePositionId(symbol, `repaired_${Date.now()}`);
-                this.positions.set(positionId, {
+                const positionId = this.generatePositionId(symbol, tradeId);
+                const repaired = {
                     positionId,
+                    tradeId,
                     symbol,
                     side,
                     quantity,
@@ -964,19 +2445,39 @@ class ScalpingBot {
                     timestamp: Date.now(),
                     stopLoss: repairedLevels.stopLoss,
                     takeProfit: repairedLevels.takeProfit,
-                    marketOrderId: `repaired_${Date.now()}`,
+                    marketOrderId: `repaired_${tradeId}`,
                     tpOrderId: newTpSlOrders.tpOrderId,
                     slOrderId: newTpSlOrders.slOrderId,
-                    repaired: true
-                });
+                    tpClientOrderId: newTpSlOrders.tpClientOrderId,
+                    slClientOrderId: newTpSlOrders.slClientOrderId,
+                    protectionRevision: revision,
+                    trailingStop: repairedLevels.trailingStop || null,
+                    initialRisk: Math.abs(entryPrice - repairedLevels.stopLoss),
+                    slQuantity: quantity,
+                    ladder: [],
+                    repaired: true,
+                    adopted: config.getAdoptionPolicy(symbol)
+                };
+                this.lifecycle.begin(repaired, STATE.FILLED, 'untracked position');
+                if (!this.lifecycle.transition(repaired, STATE.PROTECTED, 'protection placed')) {
+                    this.lifecycle.transition(repaired, STATE.REPAIRING, 'protection incomplete');
+                }
+                this.positions.set(positionId, repaired);
+                this.logAdoption(repaired);
             }
 
             this.logger.debug(`✅ Position repaired: ${symbol}`);
 
         } catch (repairError) {
             this.logger.error(`❌ EMERGENCY REPAIR FAILED for ${position.symbol}: ${repairError.message}`);
+            const adopted = trackedPosition ? trackedPosition.adopted : config.getAdoptionPolicy(position.symbol);
+            if (adopted === 'protectOnly') {
+                this.logger.error(`🚨 ${position.symbol} ${position.side} is adopted (protect only) - left open, retrying on the next check`);
+                return;
+            }
+            if (trackedPosition) this.lifecycle.transition(trackedPosition, STATE.FAILED, repairError.message);
             this.logger.error(`🚨 Repair failed - emergency closing ${position.symbol}`);
-            await this.emergencyClose(position.symbol);
+            await this.emergencyClose(position.symbol, null, position.side);
         }
     }
 
@@ -988,16 +2489,22 @@ class ScalpingBot {
                 this.client.getOpenPositions()
             ]);
 
-            const symbolsWithPositions = new Set(
-                openPositions
-                    .filter(p => Math.abs(parseFloat(p.positionAmt)) > 0)
-                    .map(p => p.symbol)
-            );
-
-            const orphans = allOpenOrders.filter(order =>
-                ['TAKE_PROFIT', 'STOP_MARKET'].includes(order.type) &&
-                !symbolsWithPositions.has(order.symbol)
-            );
+            const openKeys = new Set(openPositions.map(p => this.positionKey(p.symbol, p.side)));
+
+            const orphans = allOpenOrders.filter(order => {
+                if (!['TAKE_PROFIT', 'TRAILING_STOP_MARKET', 'STOP_MARKET'].includes(order.type)) return false;
+                // Hand-placed orders on symbols where foreign positions are ignored (or denied) stay
+                const own = this.ownOrderInfo(order);
+                if (!own && config.getAdoptionPolicy(order.symbol) === 'ignore') return false;
+                // Hedge-mode orders belong to their positionSide - a TP/SL for a flat LONG is an orphan
+                const side = this.sideOfPositionSide(order.positionSide);
+                if (!openKeys.has(this.positionKey(order.symbol, side))) return true;
+
+                // Our own TP/SL from an earlier trade or protection revision on a symbol that moved on
+                if (!own || this.pendingOperations.has(this.getTradeLockKey(order.symbol, side))) return false;
+                const trackedPosition = this.findTrackedPosition(order.symbol, side);
+                return !!trackedPosition?.tradeId && !this.isCurrentProtection(trackedPosition, order);
+            });
 
             for (const order of orphans) {
                 try {
@@ -1013,29 +2520,78 @@ class ScalpingBot {
     }
 
     async closePositionByOrder(positionId, position, reason, order) {
-        const exitPrice = parseFloat(order.avgPrice);
-        const pnl = position.side === 'BUY'
-            ? (exitPrice - position.entryPrice) * position.quantity
-            : (position.entryPrice - exitPrice) * position.quantity;
+        // Stream events and the polling fallback can both report the same closure
+        if (!this.positions.has(positionId)) return;
 
         this.logger.position(
             `CLOSED - ${position.symbol} | ${position.side} | ` +
             `${position.quantity} @ $${position.entryPrice.toFixed(4)} | ` +
-            `Exit: $${exitPrice.toFixed(4)} | PnL: $${pnl.toFixed(2)} | Reason: ${reason} | ` +
+            `${this.exitSummary(position, position.quantity, order)} | Reason: ${reason} | ` +
             `TradeID: ${position.positionId}`
         );
 
-        this.positions.delete(positionId);
-        this.cleanupPositionOrders(position.symbol);
-        this.setCooldown(position.symbol, config.trading.cooldowns.afterClose);
+        // Bot-initiated closes pull their orders before closing
+        const closedByBot = this.lifecycle.is(position, STATE.CLOSING);
+        this.untrackPosition(positionId, position, reason);
+        this.setCooldown(this.positionKey(position.symbol, position.side), config.trading.cooldowns.afterClose);
+
+        if (!closedByBot) {
+            await this.cancelSiblingOrders(position, order.orderId);
+        }
+    }
+
+    // === OCO EMULATION ===
+    // Futures have no native OCO: once one exit fills (or the position is closed by hand) the other
+    // legs are cancelled here. Safe to repeat - a leg that is already gone counts as done.
+    async cancelSiblingOrders(position, filledOrderId = null) {
+        const { symbol } = position;
+        const legs = [
+            ['TP', position.tpOrderId],
+            ['SL', position.slOrderId],
+            ...(position.ladder || []).filter(l => !l.filled).map(l => [`TP${l.level}`, l.orderId])
+        ].filter(([, orderId]) => orderId && orderId != filledOrderId);
+        if (legs.length === 0) return;
+
+        const outcome = [];
+        for (const [leg, orderId] of legs) {
+            this.cancelingOrders.add(orderId);
+            try {
+                await this.client.cancelOrder(symbol, orderId);
+                this.orders.delete(`order_${orderId}`);
+                outcome.push(`${leg} ${orderId} cancelled`);
+            } catch (error) {
+                outcome.push(BinanceErrors.is(error, BinanceErrors.CATEGORY.ORDER_NOT_FOUND)
+                    ? `${leg} ${orderId} already gone`
+                    : `${leg} ${orderId} cancel failed (${error.msg || error.message})`);
+            } finally {
+                this.cancelingOrders.delete(orderId);
+            }
+        }
+        this.logger.trade(`🔗 ${symbol} OCO: ${outcome.join(', ')}`);
+    }
+
+    // Exit price, PnL and fees of closing `quantity` - the exchange's realized PnL (stream fills) wins over our estimate
+    exitSummary(position, quantity, order) {
+        const exitPrice = parseFloat(order.avgPrice);
+        const pnl = order.realizedPnl !== undefined
+            ? order.realizedPnl
+            : position.side === 'BUY'
+                ? (exitPrice - position.entryPrice) * quantity
+                : (position.entryPrice - exitPrice) * quantity;
+        const feeLog = order.commission !== undefined
+            ? ` | Fee: $${order.commission.toFixed(4)} | Net: $${(pnl - order.commission).toFixed(2)}`
+            : '';
+
+        return `Exit: $${exitPrice.toFixed(4)} | PnL: $${pnl.toFixed(2)}${feeLog}`;
     }
 
-    cleanupPositionOrders(symbol) {
-        const tpOrderId = this.orders.get(`${symbol}_TP`);
-        const slOrderId = this.orders.get(`${symbol}_SL`);
+    cleanupPositionOrders(symbol, side = null) {
+        const key = this.positionKey(symbol, side);
+        const tpOrderId = this.orders.get(`${key}_TP`);
+        const slOrderId = this.orders.get(`${key}_SL`);
 
-        this.orders.delete(`${symbol}_TP`);
-        this.orders.delete(`${symbol}_SL`);
+        this.orders.delete(`${key}_TP`);
+        this.orders.delete(`${key}_SL`);
         if (tpOrderId) this.orders.delete(`order_${tpOrderId}`);
         if (slOrderId) this.orders.delete(`order_${slOrderId}`);
     }
@@ -1050,18 +2606,17 @@ class ScalpingBot {
                 this.client.getOpenOrders()
             ]);
 
-            const activePositions = openPositions.filter(p => Math.abs(parseFloat(p.positionAmt)) > 0);
+            const activePositions = openPositions.filter(p => p.quantity > 0);
             this.logger.info(`Found ${activePositions.length} live positions and ${allOpenOrders.length} open orders`);
 
             await this.removeStalePositions(activePositions);
             await this.recoverActivePositions(activePositions, allOpenOrders);
             await this.cleanupPhantomPositions(activePositions);
             for (const [positionId, position] of this.positions.entries()) {
-                const stillExists = await this.hasOpenPosition(position.symbol);
+                const stillExists = await this.hasOpenPosition(position.symbol, position.side);
                 if (!stillExists) {
                     this.logger.error(`🚨 Removing phantom position: ${positionId}`);
-                    this.positions.delete(positionId);
-                    this.cleanupPositionOrders(position.symbol);
+                    this.untrackPosition(positionId, position, 'PHANTOM');
                 }
             }
             this.logger.info(`✅ Recovery completed: ${this.positions.size} positions tracked`);
@@ -1073,15 +2628,13 @@ class ScalpingBot {
     async removeStalePositions(activePositions) {
         let removedCount = 0;
         for (const [positionId, trackedPosition] of this.positions.entries()) {
-            const stillExists = activePositions.some(binancePos =>
-                binancePos.symbol === trackedPosition.symbol &&
-                Math.abs(parseFloat(binancePos.positionAmt) - trackedPosition.quantity) < this.FLOATING_POINT_TOLERANCE
+            const stillExists = activePositions.some(exchangePos =>
+                exchangePos.symbol === trackedPosition.symbol && exchangePos.side === trackedPosition.side
             );
 
             if (!stillExists) {
                 this.logger.debug(`🔄 Removing tracked position that no longer exists: ${trackedPosition.symbol}`);
-                this.positions.delete(positionId);
-                this.cleanupPositionOrders(trackedPosition.symbol);
+                this.untrackPosition(positionId, trackedPosition, 'GONE_ON_RESTART');
                 removedCount++;
             }
         }
@@ -1093,16 +2646,11 @@ class ScalpingBot {
     async recoverActivePositions(activePositions, allOpenOrders) {
         let recoveredCount = 0;
 
-        for (const binancePosition of activePositions) {
-            const symbol = binancePosition.symbol;
-            const positionAmt = parseFloat(binancePosition.positionAmt);
-            const quantity = Math.abs(positionAmt);
-            const entryPrice = parseFloat(binancePosition.entryPrice);
+        for (const exchangePosition of activePositions) {
+            const alreadyTracked = this.findTrackedPosition(exchangePosition.symbol, exchangePosition.side);
+            if (alreadyTracked) continue;
 
-            const alreadyTracked = this.findTrackedPosition(symbol, quantity, entryPrice);
-
-            if (!alreadyTracked) {
-                await this.recoverSinglePosition(binancePosition, allOpenOrders, recoveredCount);
+            if (await this.recoverSinglePosition(exchangePosition, allOpenOrders)) {
                 recoveredCount++;
             }
         }
@@ -1112,62 +2660,129 @@ class ScalpingBot {
         }
     }
 
-    async recoverSinglePosition(binancePosition, allOpenOrders, index) {
-        const symbol = binancePosition.symbol;
-        const positionAmt = parseFloat(binancePosition.positionAmt);
-        const quantity = Math.abs(positionAmt);
-        const entryPrice = parseFloat(binancePosition.entryPrice);
-        const side = positionAmt > 0 ? 'BUY' : 'SELL';
+    // Picks the newest trade among this bot's orders on the symbol, highest protection revision first
+    findOwnProtection(symbolOrders) {
+        const own = symbolOrders
+            .map(order => ({ order, info: this.ownOrderInfo(order) }))
+            .filter(({ info }) => info);
+        if (own.length === 0) return null;
+
+        // Trade IDs are time-ordered
+        const tradeId = own.map(({ info }) => info.tradeId).sort().pop();
+        const legs = own
+            .filter(({ info }) => info.tradeId === tradeId)
+            .sort((a, b) => b.info.revision - a.info.revision);
+        const tp = legs.find(({ info }) =>
+            [ClientOrderId.LEG.TAKE_PROFIT, ClientOrderId.LEG.TRAILING_STOP].includes(info.leg));
+        const sl = legs.find(({ info }) => info.leg === ClientOrderId.LEG.STOP_LOSS);
+        const ladder = [];
+        for (const { order, info } of legs) {
+            const level = ClientOrderId.ladderLevel(info.leg);
+            if (level && !ladder.some(l => l.level === level)) ladder.push({ level, order, revision: info.revision });
+        }
+
+        return {
+            tradeId,
+            tpOrder: tp?.order,
+            slOrder: sl?.order,
+            ladderOrders: ladder.sort((a, b) => a.level - b.level),
+            revision: Math.max(tp?.info.revision || 0, sl?.info.revision || 0, ...ladder.map(l => l.revision))
+        };
+    }
+
+    // Resolves false for a position left alone by the adoption policy
+    async recoverSinglePosition(exchangePosition, allOpenOrders) {
+        const { symbol, side, quantity, entryPrice } = exchangePosition;
+
+        const symbolOrders = allOpenOrders.filter(o => o.symbol === symbol &&
+            (!this.hedgeMode || o.positionSide === exchangePosition.positionSide));
+        const own = this.findOwnProtection(symbolOrders);
+
+        // No order of ours on it - opened by hand or by another tool. Denied symbols are never touched.
+        const adopted = own ? null : config.getAdoptionPolicy(symbol);
+        if (adopted === 'ignore' || config.isDeniedSymbol(symbol)) {
+            this.ignorePosition(exchangePosition);
+            return false;
+        }
 
-        const symbolOrders = allOpenOrders.filter(o => o.symbol === symbol);
-        const tpOrder = symbolOrders.find(o => o.type.includes('TAKE_PROFIT'));
-        const slOrder = symbolOrders.find(o => o.type.includes('STOP'));
+        // Orders without our client IDs (placed by hand or by an older version) - fall back to order types
+        const tpOrder = own ? own.tpOrder : symbolOrders.find(o =>
+            o.type.includes('TAKE_PROFIT') || o.type === 'TRAILING_STOP_MARKET');
+        const slOrder = own ? own.slOrder : symbolOrders.find(o => ['STOP_MARKET', 'STOP'].includes(o.type));
+        const tradeId = own?.tradeId || ClientOrderId.newTradeId();
+        const trailingStop = tpOrder?.type === 'TRAILING_STOP_MARKET'
+            ? { callbackRate: tpOrder.callbackRate, activationPrice: tpOrder.activationPrice }
+            : null;
 
-        const positionId = `recovered_${symbol}_${Date.now()}_${index}`;
+        const positionId = this.generatePositionId(symbol, tradeId);
 
-        this.positions.set(positionId, {
+        const position = {
             positionId,
+            tradeId,
             symbol,
             side: side,
             quantity,
             entryPrice,
-            timestamp: Date.now(),
-            stopLoss: slOrder ? parseFloat(slOrder.stopPrice) : 0,
-            takeProfit: tpOrder ? parseFloat(tpOrder.price) : 0,
+            // Our own trades carry their entry time in the trade ID - hold-time exits keep counting
+            timestamp: own ? ClientOrderId.tradeTime(tradeId) : Date.now(),
+            stopLoss: slOrder ? slOrder.stopPrice : 0,
+            takeProfit: tpOrder && !trailingStop ? tpOrder.price : 0,
             marketOrderId: positionId,
             tpOrderId: tpOrder?.orderId,
             slOrderId: slOrder?.orderId,
-            recovered: true
-        });
+            tpClientOrderId: tpOrder?.clientOrderId,
+            slClientOrderId: slOrder?.clientOrderId,
+            protectionRevision: own?.revision || 0,
+            trailingStop,
+            // The original stop may have been moved already - measure R from the strategy's initial stop
+            initialRisk: Math.abs(entryPrice - this.strategy.calculateLevels(entryPrice, side, symbol).stopLoss),
+            slQuantity: slOrder?.origQty || quantity,
+            ladder: this.trackedLadder((own?.ladderOrders || []).map(({ level, order }) => ({
+                level,
+                price: order.price,
+                quantity: order.origQty,
+                orderId: order.orderId,
+                clientOrderId: order.clientOrderId
+            }))),
+            recovered: true,
+            adopted
+        };
+        this.lifecycle.begin(position, STATE.FILLED, 'recovered');
+        // Without its stop it waits for the protection check to repair it
+        this.lifecycle.transition(position, slOrder ? STATE.PROTECTED : STATE.REPAIRING, 'recovered orders');
+        this.positions.set(positionId, position);
 
+        const key = this.positionKey(symbol, side);
         if (tpOrder) {
-            this.orders.set(`${symbol}_TP`, tpOrder.orderId);
+            this.orders.set(`${key}_TP`, tpOrder.orderId);
             this.orders.set(`order_${tpOrder.orderId}`, { type: 'TP', symbol });
         }
         if (slOrder) {
-            this.orders.set(`${symbol}_SL`, slOrder.orderId);
+            this.orders.set(`${key}_SL`, slOrder.orderId);
             this.orders.set(`order_${slOrder.orderId}`, { type: 'SL', symbol });
         }
 
+        const exitLog = this.ladderLog(position.ladder) + (trailingStop
+            ? `TRAIL: ${trailingStop.callbackRate}%`
+            : `TP: $${(tpOrder ? tpOrder.price : 0).toFixed(4)}`);
         this.logger.position(
             `OPEN - ${symbol} | ${side} | ${quantity} @ $${entryPrice.toFixed(4)} | ` +
-            `SL: $${(slOrder ? parseFloat(slOrder.stopPrice) : 0).toFixed(4)} | TP: $${(tpOrder ? parseFloat(tpOrder.price) : 0).toFixed(4)} | ` +
-            `Recovered: true | TradeID: ${positionId}`
+            `SL: $${(slOrder ? slOrder.stopPrice : 0).toFixed(4)} | ${exitLog} | ` +
+            `Recovered: true${adopted ? ` | Adopted: ${adopted}` : ''} | TradeID: ${positionId}`
         );
+        return true;
     }
 
     async cleanupPhantomPositions(activePositions) {
         let phantomCount = 0;
         for (const [positionId, position] of this.positions.entries()) {
             if (position.recovered) {
-                const stillExists = activePositions.some(bp =>
-                    bp.symbol === position.symbol &&
-                    Math.abs(parseFloat(bp.positionAmt) - position.quantity) < this.FLOATING_POINT_TOLERANCE
+                const stillExists = activePositions.some(ep =>
+                    ep.symbol === position.symbol && ep.side === position.side
                 );
                 if (!stillExists) {
                     this.logger.debug(`🔄 Removing phantom recovered position: ${position.symbol}`);
-                    this.positions.delete(positionId);
-                    this.cleanupPositionOrders(position.symbol);
+                    this.untrackPosition(positionId, position, 'PHANTOM');
                     phantomCount++;
                 }
             }
@@ -0,0 +1,185 @@
+import { EventEmitter } from 'events';
+import ReconnectingWebSocket from '#utils/ReconnectingWebSocket';
+
+// Consumes the futures user data stream (listenKey) and re-emits parsed events:
+// 'orderUpdate' (ORDER_TRADE_UPDATE), 'accountUpdate' (ACCOUNT_UPDATE), 'marginCall' (MARGIN_CALL)
+class UserDataStream extends EventEmitter {
+    constructor(client, options) {
+        super();
+        this.client = client;
+        this.websocketURL = options.websocketURL;
+        this.keepAliveInterval = options.keepAliveIntervalMs ?? 30 * 60 * 1000;
+        this.socketOptions = {
+            pingInterval: options.pingIntervalMs,
+            pongTimeout: options.pongTimeoutMs,
+            reconnectDelay: options.reconnectDelayMs,
+            maxReconnectDelay: options.maxReconnectDelayMs
+        };
+
+        this.listenKey = null;
+        this.socket = null;
+        this.keepAliveTimer = null;
+    }
+
+    get isConnected() {
+        return this.socket !== null && this.socket.isOpen;
+    }
+
+    // === LIFECYCLE ===
+    async start() {
+        this.listenKey = await this.client.createListenKey();
+        this.openSocket();
+
+        this.keepAliveTimer = setInterval(() => this.keepAlive(), this.keepAliveInterval);
+    }
+
+    async stop() {
+        clearInterval(this.keepAliveTimer);
+        this.keepAliveTimer = null;
+
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+
+        if (this.listenKey) {
+            try {
+                await this.client.closeListenKey();
+            } catch (error) {
+                this.emit('error', new Error(`Failed to close listenKey: ${error.message}`));
+            }
+            this.listenKey = null;
+        }
+
+        this.removeAllListeners();
+    }
+
+    openSocket() {
+        if (this.socket) this.socket.close();
+
+        this.socket = new ReconnectingWebSocket(`${this.websocketURL}/ws/${this.listenKey}`, this.socketOptions);
+        this.socket.on('open', ({ reconnected }) => this.emit('connected', { reconnected }));
+        this.socket.on('close', ({ code }) => this.emit('disconnected', { code }));
+        this.socket.on('error', error => this.emit('error', error));
+        this.socket.on('message', message => this.handleMessage(message));
+        this.socket.connect();
+    }
+
+    async keepAlive() {
+        try {
+            await this.client.keepAliveListenKey();
+        } catch (error) {
+            // -1125: listenKey does not exist anymore - start over with a new one
+            this.emit('error', new Error(`listenKey keepalive failed: ${error.message}`));
+            await this.renewListenKey();
+        }
+    }
+
+    async renewListenKey() {
+        try {
+            this.listenKey = await this.client.createListenKey();
+            this.openSocket();
+        } catch (error) {
+            this.emit('error', new Error(`listenKey renewal failed: ${error.message}`));
+        }
+    }
+
+    // === EVENT PARSING ===
+    handleMessage(event) {
+        switch (event.e) {
+            case 'ORDER_TRADE_UPDATE':
+                this.emit('orderUpdate', UserDataStream.parseOrderUpdate(event));
+                break;
+            case 'ACCOUNT_UPDATE':
+                this.emit('accountUpdate', UserDataStream.parseAccountUpdate(event));
+                break;
+            case 'MARGIN_CALL':
+                this.emit('marginCall', UserDataStream.parseMarginCall(event));
+                break;
+            case 'listenKeyExpired':
+                this.emit('error', new Error('listenKey expired - renewing'));
+                this.renewListenKey();
+                break;
+            default:
+                break;
+        }
+    }
+
+    static parseOrderUpdate(event) {
+        const o = event.o;
+        return {
+            eventTime: event.E,
+            symbol: o.s,
+            orderId: o.i,
+            clientOrderId: o.c,
+            side: o.S,
+            type: o.ot || o.o, // Original type - a triggered STOP_MARKET reports o=MARKET
+            status: o.X,
+            executionType: o.x,
+            origQty: parseFloat(o.q),
+            price: parseFloat(o.p),
+            stopPrice: parseFloat(o.sp),
+            avgPrice: parseFloat(o.ap),
+            lastFilledQty: parseFloat(o.l),
+            lastFilledPrice: parseFloat(o.L),
+            filledQty: parseFloat(o.z),
+            commission: parseFloat(o.n || 0),
+            commissionAsset: o.N,
+            realizedPnl: parseFloat(o.rp || 0),
+            reduceOnly: o.R,
+            positionSide: o.ps,
+            isMaker: o.m,
+            tradeTime: o.T
+        };
+    }
+
+    static parseAccountUpdate(event) {
+        const a = event.a;
+        return {
+            eventTime: event.E,
+            reason: a.m,
+            balances: (a.B || []).map(b => ({
+                asset: b.a,
+                walletBalance: parseFloat(b.wb),
+                crossWalletBalance: parseFloat(b.cw),
+                balanceChange: parseFloat(b.bc)
+            })),
+            positions: (a.P || []).map(p => ({
+                ...UserDataStream.parsePositionAmount(p.pa),
+                symbol: p.s,
+                entryPrice: parseFloat(p.ep),
+                accumulatedRealized: parseFloat(p.cr),
+                unrealizedPnl: parseFloat(p.up),
+                marginType: p.mt,
+                positionSide: p.ps
+            }))
+        };
+    }
+
+    // Signed Binance amount -> normalized side/quantity (flat positions keep side null)
+    static parsePositionAmount(pa) {
+        const amount = parseFloat(pa);
+        return {
+            side: amount > 0 ? 'BUY' : amount < 0 ? 'SELL' : null,
+            quantity: Math.abs(amount)
+        };
+    }
+
+    static parseMarginCall(event) {
+        return {
+            eventTime: event.E,
+            crossWalletBalance: parseFloat(event.cw),
+            positions: (event.p || []).map(p => ({
+                ...UserDataStream.parsePositionAmount(p.pa),
+                symbol: p.s,
+                positionSide: p.ps,
+                marginType: p.mt,
+                markPrice: parseFloat(p.mp),
+                unrealizedPnl: parseFloat(p.up),
+                maintenanceMargin: parseFloat(p.mm)
+            }))
+        };
+    }
+}
+
+export default UserDataStream;
@@ -1,7 +1,9 @@
 import 'dotenv/config';
 
 const config = {
-    environment: process.env.BOT_ENVIRONMENT || 'testnet',
+    environment: process.env.BOT_ENVIRONMENT || 'testnet', // 'testnet', 'mainnet', 'paper' or 'local'
+    exchange: 'binance', // Exchange adapter, see bot/ExchangeFactory.js
+    botId: process.env.BOT_ID || 'fs1', // 1-6 alphanumerics, prefixes every clientOrderId - unique per bot sharing an account
 
     binance: {
         testnet: {
@@ -15,14 +17,113 @@ const config = {
             secretKey: process.env.BINANCE_MAINNET_SECRET_KEY,
             baseURL: 'https://fapi.binance.com',
             websocketURL: 'wss://fstream.binance.com'
+        },
+        paper: {
+            // Public mainnet market data only - orders never leave the process
+            baseURL: 'https://fapi.binance.com',
+            websocketURL: 'wss://fstream.binance.com'
+        },
+        local: {
+            // Fake exchange from simulator/runFakeServer.js - fully offline runs
+            apiKey: process.env.BINANCE_LOCAL_API_KEY || 'local-api-key',
+            secretKey: process.env.BINANCE_LOCAL_SECRET_KEY || 'local-secret-key',
+            baseURL: 'http://127.0.0.1:8090',
+            websocketURL: null // REST only - streams fall back to polling
         }
     },
 
+    paper: {
+        initialBalance: 10000,    // Virtual USDT wallet
+        takerFee: 0.0005,         // 0.05%
+        makerFee: 0.0002,         // 0.02%
+        slippagePercent: 0.01,    // Applied to simulated market fills
+        defaultLeverage: 20,
+        priceRefreshMs: 1000      // Price polling for resting orders when no kline tick arrived
+    },
+
+    rateLimits: {
+        // Defaults until exchangeInfo reports the live limits
+        requestWeightPerMinute: 2400,
+        ordersPer10s: 300,
+        ordersPerMinute: 1200,
+        safetyMargin: 0.9,        // Only use 90% of each budget
+        maxConcurrent: 10,
+        defaultBackoffMs: 60000   // 429/418 without Retry-After
+    },
+
+    retry: {
+        // Transient failures only (network, 5xx, 429); orders are resent only if provably not executed
+        maxRetries: 3,
+        baseDelayMs: 250,         // Doubles per attempt
+        maxDelayMs: 5000,         // Also the longest Retry-After worth waiting for
+        jitter: 0.5               // Randomize up to 50% of each delay
+    },
+
+    timeSync: {
+        syncIntervalMs: 60000,    // Periodic GET /fapi/v1/time
+        maxDriftMs: 1000,         // New entries pause while |local - server| exceeds this
+        recvWindow: 5000          // Binance default; offset-corrected timestamps don't need more
+    },
+
+    shutdown: {
+        // What stop() (SIGINT / SIGTERM) does with live trading:
+        //   'leave'         - in-flight entries finish, positions stay open on their exchange TP/SL
+        //   'cancelEntries' - in-flight entries are cut short (no more chase re-quotes or slices),
+        //                     resting entry orders cancelled; filled positions stay protected
+        //   'flatten'       - as 'cancelEntries', then every tracked position is closed at market
+        mode: process.env.SHUTDOWN_MODE || 'leave',
+        drainTimeoutSeconds: 30,  // Longest wait for in-flight analysis / trades / repairs
+        stateFile: './logs/state.json' // Snapshot of tracked positions and cooldowns, read back on start
+    },
+
+    deadMansSwitch: {
+        // Exchange-side: countdownCancelAll on symbols whose only orders are resting post-only entries,
+        // so a dead bot's quotes are pulled by Binance. Released before any TP/SL is placed.
+        enabled: false,
+        countdownSeconds: 60,     // Orders cancelled this long after the last refresh
+        heartbeatSeconds: 15      // Refresh interval - well below countdownSeconds
+    },
+
+    watchdog: {
+        // Local: the bot writes heartbeatFile; `npm run watchdog` (a separate process) acts on it
+        enabled: false,           // Write the heartbeat file
+        heartbeatFile: './logs/heartbeat.json',
+        heartbeatSeconds: 10,
+        staleAfterSeconds: 45,    // Watchdog: no heartbeat for this long, or the bot's pid gone = bot down
+        checkSeconds: 5,
+        fallback: 'alert'         // 'alert' (log only), 'flatten' (close the bot's positions, cancel its orders)
+                                  // or 'protect' (cancel its entry orders, re-place any missing stop)
+    },
+
+    marketData: {
+        useWebsocket: true,       // Stream klines instead of polling REST every cycle
+        bufferSize: 300,          // Candles kept in memory per symbol
+        staleAfterMs: 60000,      // Fall back to REST if a symbol hasn't updated for this long
+        pingIntervalMs: 30000,
+        pongTimeoutMs: 10000,
+        reconnectDelayMs: 1000,
+        maxReconnectDelayMs: 30000
+    },
+
+    userDataStream: {
+        enabled: true,                      // Order/position events via listenKey instead of polling
+        keepAliveIntervalMs: 30 * 60 * 1000, // listenKey expires after 60 minutes without keepalive
+        pingIntervalMs: 30000,
+        pongTimeoutMs: 10000,
+        reconnectDelayMs: 1000,
+        maxReconnectDelayMs: 30000
+    },
+
     strategy: {
         name: 'simple_scalping',
         timeframe: '15m',
         sizeMultiplier: 1.2,      // 20% position size increase
         tpAdjustmentFactor: 0.9,  // Take Profit adjustment (0.9 = 10% reduction, 1.1 = 10% increase)
+        timeExits: {              // Live bot and backtester; symbolConfigs[symbol].timeExits overrides per symbol
+            maxHoldMinutes: 480,  // Flatten after 8 hours no matter what (0 = off); strategy.maxHoldTime (ms) still overrides it
+            noProgressCandles: 0, // Opt in - after this many candles of the strategy timeframe...
+            noProgressMinR: 0.25  // ...flatten unless at least this far in profit, in R (0 candles = off)
+        }
     },
 
     trading: {
@@ -31,7 +132,59 @@ const config = {
         positionPercent: 0.5,
         maxOpenPositions: 3,
         marginMode: 'ISOLATED',
+        positionMode: 'ONE_WAY', // 'ONE_WAY' or 'HEDGE' (a LONG and a SHORT per symbol at the same time)
+        partialFillPolicy: 'accept', // Entry filled short: 'complete' (top up), 'accept' (protect what filled) or 'cancel' (close it)
+        entry: {
+            mode: 'market',       // 'market' (taker) or 'postOnly' (GTX limit at the best bid / ask, chased)
+            offsetTicks: 0,       // postOnly: quote this many ticks inside the spread (never crossing it)
+            chaseTicks: 5,        // ...re-quote after the touch at most this far from the first quote
+            repriceSeconds: 3,    // ...and at most this often
+            timeoutSeconds: 15,   // Time budget for the whole chase
+            fallback: 'market'    // Unfilled after the chase: 'market' (enter as taker) or 'abandon' (skip the signal)
+        },
+        slippageGuard: {          // Checked against the live book before every entry; symbolConfigs[symbol].slippageGuard overrides
+            enabled: false,       // Opt in - aborts entries
+            maxDeviationPercent: 0.15, // Abort when the bid / ask we'd take has run this far against the signal price
+            maxSpreadPercent: 0.05     // ...or when the spread is wider than this
+        },
+        slicing: {                // TWAP / iceberg for market entries and exits; symbolConfigs[symbol].slicing overrides
+            enabled: false,       // Opt in - splits orders
+            maxVolumePercent: 2,  // A child order is at most this % of the average candle volume...
+            volumeCandles: 20,    // ...over the last N candles of the strategy timeframe
+            maxBookPercent: 50,   // ...and at most this % of the size at the best bid / ask it takes
+            intervalSeconds: 2,   // Pause between child orders
+            maxSlices: 10         // Cap on child orders - beyond it they grow instead
+        },
+        stopGap: {                // Entry filled but its stop is rejected with -2021: price already ran through it
+            action: 'reanchor',   // 'close' (flatten at market at once) or 'reanchor' (stop moved beyond the mark price)
+            bufferPercent: 0.1,   // reanchor: new stop this far beyond the mark price...
+            maxRiskMultiple: 1.5  // ...if the loss there is at most this x the planned entry-to-stop distance - else close
+        },
+        adoption: {               // Exchange positions this bot didn't open (by hand, another tool) - found on restart or while running
+            policy: 'protectOnly', // 'ignore' (never tracked), 'protectOnly' (TP/SL placed and repaired, nothing else) or 'manage' (run like the bot's own)
+            symbolPolicies: {},   // Per-symbol policy, e.g. { ETHUSDT: 'manage' }
+            allowSymbols: [],     // Adopt only on these symbols (empty = any) - elsewhere they are ignored
+            denySymbols: []       // Never touched: not adopted, no order placed or cancelled there, not traded
+        },
         stopMode: 'tight', // 'tight' or 'wide'
+        protectionMode: 'fixed', // 'fixed' (TAKE_PROFIT + STOP_MARKET) or 'trailing' (TRAILING_STOP_MARKET + STOP_MARKET)
+        workingType: 'CONTRACT_PRICE', // Exit triggers on the last trade, or 'MARK_PRICE' (ignores wicks); per-symbol override
+        trailingStop: {
+            callbackPercent: 0.8,        // Trail distance when the strategy reports no ATR (Binance: 0.1-10%)
+            atrMultiplier: 1.0,          // Trail distance = ATR x this at entry (0 = always use callbackPercent)
+            activationPercent: 0.5,      // Trail arms once price is this far in profit (0 = immediately)
+            activationAtrMultiplier: 1.0 // ... or ATR x this when ATR is known (0 = always use activationPercent)
+        },
+        stopManagement: {
+            enabled: false,               // Opt in - moves live stops
+            // R = the initial entry-to-stop distance; thresholds are price moves in R
+            breakevenAtR: 1.0,           // Stop to entry once price is 1R in profit
+            feeBufferPercent: 0.1,       // Added to every moved stop so round-trip taker fees are covered
+            steps: [                     // Then tighten: at atR in profit the stop locks lockR of profit
+                { atR: 1.5, lockR: 0.5 },
+                { atR: 2.0, lockR: 1.0 }
+            ]
+        },
         cooldowns: { afterOpen: 300, afterClose: 600},
         symbolConfigs: {
             'BTCUSDT': {
@@ -40,6 +193,12 @@ const config = {
                     stopLossPercent: { tight: 0.50, wide: 0.80 },
                     takeProfitPercent: { tight: 1.00, wide: 1.60 }
                 },
+                // Partial exits at R-multiples of the initial stop distance (max 3 levels, off when
+                // absent); the rest closes at the take-profit, or trails in 'trailing' protection mode
+                // takeProfitLadder: [
+                //     { atR: 1.0, percent: 50 },
+                //     { atR: 1.5, percent: 30 }
+                // ],
                 entryConditions: {
                     buy: { minRSI: 48, maxRSI: 65, minVolume: 1.4, priceMovement: 1.005 },
                     sell: { minRSI: 35, maxRSI: 52, minVolume: 1.4, priceMovement: 0.995 }
@@ -69,6 +228,7 @@ const config = {
             },
             'XRPUSDT': {
                 filters: { minVolume: 1.3, minATR: 0.4 },
+                slicing: { maxVolumePercent: 1 },
                 risk: {
                     stopLossPercent: { tight: 0.50, wide: 0.80 },
                     takeProfitPercent: { tight: 1.00, wide: 1.60 }
@@ -102,6 +262,8 @@ const config = {
             },
             'DOGEUSDT': {
                 filters: { minVolume: 1.5, minATR: 0.7 },
+                slippageGuard: { maxDeviationPercent: 0.25, maxSpreadPercent: 0.1 },
+                slicing: { maxVolumePercent: 1 },
                 risk: {
                     stopLossPercent: { tight: 0.80, wide: 1.28 },
                     takeProfitPercent: { tight: 1.60, wide: 2.56 }
@@ -136,6 +298,16 @@ const config = {
             continuousMonitoring: false,
             emergencyRepair: false,
             verificationDelay: 1500
+        },
+        paper: {
+            continuousMonitoring: true,
+            emergencyRepair: true,
+            verificationDelay: 0
+        },
+        local: {
+            continuousMonitoring: true,
+            emergencyRepair: true,
+            verificationDelay: 500
         }
     }
 };
@@ -147,6 +319,10 @@ config.getSymbolConfig = function(symbol) {
     
     return {
         ...symbolConfig,
+        takeProfitLadder: symbolConfig.takeProfitLadder || [],
+        workingType: symbolConfig.workingType || this.trading.workingType,
+        slippageGuard: { ...this.trading.slippageGuard, ...symbolConfig.slippageGuard },
+        slicing: { ...this.trading.slicing, ...symbolConfig.slicing },
         risk: {
             stopLossPercent: symbolConfig.risk.stopLossPercent[stopMode],
             takeProfitPercent: symbolConfig.risk.takeProfitPercent[stopMode]
@@ -154,20 +330,111 @@ config.getSymbolConfig = function(symbol) {
     };
 };
 
+// What happens to a position this bot didn't open on `symbol`: 'ignore', 'protectOnly' or 'manage'
+config.getAdoptionPolicy = function (symbol) {
+    const { policy, symbolPolicies = {}, allowSymbols = [], denySymbols = [] } = this.trading.adoption;
+    if (denySymbols.includes(symbol)) return 'ignore';
+    if (allowSymbols.length > 0 && !allowSymbols.includes(symbol)) return 'ignore';
+    return symbolPolicies[symbol] || policy;
+};
+
+config.isDeniedSymbol = function (symbol) {
+    return (this.trading.adoption.denySymbols || []).includes(symbol);
+};
+
 config.getCurrentConfig = function () {
     return this.binance[this.environment];
 };
 
 config.getSafetyConfig = function () {
-    const env = this.environment; // 'testnet' or 'mainnet'
+    const env = this.environment; // 'testnet', 'mainnet', 'paper' or 'local'
     return this.safety[env]; // ✅ Actually use the safety config
 };
 
+const WORKING_TYPES = ['CONTRACT_PRICE', 'MARK_PRICE'];
+const ADOPTION_POLICIES = ['ignore', 'protectOnly', 'manage'];
+
 config.validate = function () {
     const currentConfig = this.getCurrentConfig();
-    if (!currentConfig.apiKey || !currentConfig.secretKey) {
+    if (!currentConfig) {
+        throw new Error(`Unknown environment: ${this.environment}`);
+    }
+    // Paper trading only reads public market data
+    if (this.environment !== 'paper' && (!currentConfig.apiKey || !currentConfig.secretKey)) {
         throw new Error(`Missing API keys for ${this.environment}`);
     }
+    if (!/^[A-Za-z0-9]{1,6}$/.test(this.botId)) {
+        throw new Error(`Invalid botId "${this.botId}" - use 1-6 letters or digits`);
+    }
+    if (!['fixed', 'trailing'].includes(this.trading.protectionMode)) {
+        throw new Error(`Invalid protectionMode "${this.trading.protectionMode}" - use fixed or trailing`);
+    }
+    if (!WORKING_TYPES.includes(this.trading.workingType)) {
+        throw new Error(`Invalid workingType "${this.trading.workingType}" - use CONTRACT_PRICE or MARK_PRICE`);
+    }
+    if (!['complete', 'accept', 'cancel'].includes(this.trading.partialFillPolicy)) {
+        throw new Error(`Invalid partialFillPolicy "${this.trading.partialFillPolicy}" - use complete, accept or cancel`);
+    }
+    for (const symbol of this.trading.symbols) {
+        const { maxDeviationPercent, maxSpreadPercent } = this.getSymbolConfig(symbol).slippageGuard;
+        if (!(maxDeviationPercent >= 0) || !(maxSpreadPercent >= 0)) {
+            throw new Error(`Invalid slippageGuard for ${symbol} - maxDeviationPercent and maxSpreadPercent must be >= 0`);
+        }
+        const { maxSlices } = this.getSymbolConfig(symbol).slicing;
+        if (!Number.isInteger(maxSlices) || maxSlices < 1) {
+            throw new Error(`Invalid slicing.maxSlices for ${symbol} - use a whole number >= 1`);
+        }
+    }
+    const { action, bufferPercent, maxRiskMultiple } = this.trading.stopGap;
+    if (!['close', 'reanchor'].includes(action)) {
+        throw new Error(`Invalid stopGap action "${action}" - use close or reanchor`);
+    }
+    if (!(bufferPercent > 0) || !(maxRiskMultiple > 0)) {
+        throw new Error('Invalid stopGap - bufferPercent and maxRiskMultiple must be > 0');
+    }
+    const { policy, symbolPolicies = {}, denySymbols = [] } = this.trading.adoption;
+    for (const [symbol, symbolPolicy] of [['default', policy], ...Object.entries(symbolPolicies)]) {
+        if (!ADOPTION_POLICIES.includes(symbolPolicy)) {
+            throw new Error(`Invalid adoption policy "${symbolPolicy}" for ${symbol} - use ${ADOPTION_POLICIES.join(', ')}`);
+        }
+    }
+    const deniedTrading = this.trading.symbols.filter(symbol => denySymbols.includes(symbol));
+    if (deniedTrading.length > 0) {
+        throw new Error(`adoption.denySymbols can't be traded - remove ${deniedTrading.join(', ')} from trading.symbols`);
+    }
+    if (this.deadMansSwitch.enabled && this.deadMansSwitch.heartbeatSeconds >= this.deadMansSwitch.countdownSeconds) {
+        throw new Error('deadMansSwitch.heartbeatSeconds must be shorter than countdownSeconds');
+    }
+    if (!['alert', 'flatten', 'protect'].includes(this.watchdog.fallback)) {
+        throw new Error(`Invalid watchdog fallback "${this.watchdog.fallback}" - use alert, flatten or protect`);
+    }
+    if (!['leave', 'cancelEntries', 'flatten'].includes(this.shutdown.mode)) {
+        throw new Error(`Invalid shutdown mode "${this.shutdown.mode}" - use leave, cancelEntries or flatten`);
+    }
+    if (!['market', 'postOnly'].includes(this.trading.entry.mode)) {
+        throw new Error(`Invalid entry mode "${this.trading.entry.mode}" - use market or postOnly`);
+    }
+    if (!['market', 'abandon'].includes(this.trading.entry.fallback)) {
+        throw new Error(`Invalid entry fallback "${this.trading.entry.fallback}" - use market or abandon`);
+    }
+    if (!['ONE_WAY', 'HEDGE'].includes(this.trading.positionMode)) {
+        throw new Error(`Invalid positionMode "${this.trading.positionMode}" - use ONE_WAY or HEDGE`);
+    }
+    for (const [symbol, symbolConfig] of Object.entries(this.trading.symbolConfigs || {})) {
+        const workingType = symbolConfig.workingType || this.trading.workingType;
+        if (!WORKING_TYPES.includes(workingType)) {
+            throw new Error(`Invalid workingType "${workingType}" for ${symbol} - use CONTRACT_PRICE or MARK_PRICE`);
+        }
+        const ladder = symbolConfig.takeProfitLadder || [];
+        const percent = ladder.reduce((sum, level) => sum + level.percent, 0);
+        if (ladder.length > 3 || percent >= 100 || ladder.some(level => !(level.atR > 0 && level.percent > 0))) {
+            throw new Error(`Invalid takeProfitLadder for ${symbol} - up to 3 levels with atR > 0, percents summing below 100`);
+        }
+    }
+    const { steps = [], breakevenAtR } = this.trading.stopManagement;
+    if (steps.some(step => step.lockR >= step.atR || step.atR <= breakevenAtR)) {
+        throw new Error('Invalid stopManagement steps - each needs lockR < atR and atR above breakevenAtR');
+    }
     
     // VALIDATE ALL CONFIGURED SYMBOLS EXIST IN TRADING SYMBOLS
     const configuredSymbols = Object.keys(this.trading.symbolConfigs || {});
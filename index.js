@@ -2,14 +2,25 @@ import ScalpingBot from '#bot/ScalpingBot';
 
 const bot = new ScalpingBot();
 
-// Graceful shutdown
+// Graceful shutdown (config.shutdown.mode, or SHUTDOWN_MODE); a second signal exits at once
+let stopping = false;
 ['SIGINT', 'SIGTERM'].forEach(signal => {
     process.on(signal, async () => {
+        if (stopping) {
+            console.log(`\n🛑 Received ${signal} again - exiting without waiting`);
+            process.exit(1);
+        }
+        stopping = true;
         console.log(`\n🛑 Received ${signal}...`);
-        await bot.stop();
+        try {
+            await bot.stop();
+        } catch (error) {
+            console.error('❌ Shutdown failed:', error.message);
+            process.exit(1);
+        }
         process.exit(0);
     });
 });
 
 // Start bot
-bot.start().catch(console.error);
\ No newline at end of file
+bot.start().catch(console.error);
@@ -0,0 +1,469 @@
+import http from 'http';
+import crypto from 'crypto';
+import MatchingEngine from '#bot/MatchingEngine';
+import KlineInterval from '#utils/KlineInterval';
+import PricePath from './PricePath.js';
+
+const MINUTE = 60 * 1000;
+
+// Mimics the Binance USDⓈ-M Futures REST endpoints BinanceClient uses, backed by the
+// local MatchingEngine and scripted price paths. Requests are signed and validated the
+// same way as on Binance, so pointing `baseURL` at this server exercises the real client.
+class FakeBinanceServer {
+    constructor(options) {
+        this.apiKey = options.apiKey;
+        this.secretKey = options.secretKey;
+        this.port = options.port ?? 8090;
+        this.host = options.host ?? '127.0.0.1';
+        this.tickInterval = options.tickIntervalMs ?? 1000;
+        this.historyMinutes = options.historyMinutes ?? 5000;
+        this.log = options.log ?? (() => {});
+        this.clockSkew = options.clockSkewMs ?? 0;   // Server clock ahead (+) or behind (-) the host
+
+        this.engine = new MatchingEngine(options.account);
+        this.symbols = new Map();   // symbol -> { spec, path, candles }
+        this.listenKeys = new Set();
+        this.server = null;
+        this.tickTimer = null;
+
+        for (const spec of options.symbols) {
+            this.addSymbol(spec);
+        }
+    }
+
+    // === MARKET SIMULATION ===
+    addSymbol(spec) {
+        const path = new PricePath(spec.path);
+        const candles = this.buildHistory(path, path.price);
+        this.symbols.set(spec.symbol, { spec, path, candles });
+        this.engine.updatePrice(spec.symbol, path.price);
+    }
+
+    // Synthetic 1m history that ends exactly at the path's start price
+    buildHistory(path, endPrice) {
+        const volatility = path.spec.historyVolatility ?? 0.08;
+        const closes = new Array(this.historyMinutes);
+        closes[this.historyMinutes - 1] = endPrice;
+        for (let i = this.historyMinutes - 1; i > 0; i--) {
+            closes[i - 1] = closes[i] / (1 + path.noise(volatility));
+        }
+
+        const currentMinute = Math.floor(Date.now() / MINUTE) * MINUTE;
+        return closes.map((close, i) => {
+            const open = i === 0 ? close : closes[i - 1];
+            return {
+                time: currentMinute - (this.historyMinutes - 1 - i) * MINUTE,
+                open,
+                high: Math.max(open, close) * (1 + Math.abs(path.noise(volatility)) / 2),
+                low: Math.min(open, close) * (1 - Math.abs(path.noise(volatility)) / 2),
+                close,
+                volume: path.nextVolume()
+            };
+        });
+    }
+
+    tick() {
+        const now = Date.now();
+        const minute = Math.floor(now / MINUTE) * MINUTE;
+
+        for (const [symbol, state] of this.symbols.entries()) {
+            const price = state.path.next();
+            const last = state.candles[state.candles.length - 1];
+
+            if (last.time === minute) {
+                last.high = Math.max(last.high, price);
+                last.low = Math.min(last.low, price);
+                last.close = price;
+                last.volume += state.path.nextVolume(10);
+            } else {
+                state.candles.push({
+                    time: minute,
+                    open: last.close,
+                    high: Math.max(last.close, price),
+                    low: Math.min(last.close, price),
+                    close: price,
+                    volume: state.path.nextVolume(10)
+                });
+                if (state.candles.length > this.historyMinutes) state.candles.shift();
+            }
+
+            this.engine.updatePrice(symbol, price);
+        }
+    }
+
+    aggregateCandles(candles, intervalMs, limit) {
+        const buckets = [];
+        for (const c of candles) {
+            const bucketTime = Math.floor(c.time / intervalMs) * intervalMs;
+            const bucket = buckets[buckets.length - 1];
+            if (bucket && bucket.time === bucketTime) {
+                bucket.high = Math.max(bucket.high, c.high);
+                bucket.low = Math.min(bucket.low, c.low);
+                bucket.close = c.close;
+                bucket.volume += c.volume;
+            } else {
+                buckets.push({ ...c, time: bucketTime });
+            }
+        }
+        return buckets.slice(-limit);
+    }
+
+    // === LIFECYCLE ===
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.tickTimer);
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+        });
+    }
+
+    // === HTTP PLUMBING ===
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const rawQuery = url.search.slice(1);
+            const body = await this.readBody(req);
+            const params = Object.fromEntries(new URLSearchParams([rawQuery, body].filter(Boolean).join('&')));
+            const route = `${req.method} ${url.pathname}`;
+            const handler = this.routes()[route];
+
+            this.log(`${route} ${rawQuery.replace(/signature=[0-9a-f]+/, 'signature=…')}`);
+
+            if (!handler) {
+                return this.send(res, 404, { code: -5000, msg: `Path ${url.pathname}, Method ${req.method} is invalid` });
+            }
+
+            if (handler.auth) this.authenticate(req, handler.auth, rawQuery, body, params);
+            const result = await handler.fn(params);
+            this.send(res, 200, result);
+        } catch (error) {
+            if (error.code !== undefined && error.msg !== undefined) {
+                const status = [-2014, -2015].includes(error.code) ? 401 : 400;
+                return this.send(res, status, { code: error.code, msg: error.msg });
+            }
+            this.send(res, 500, { code: -1000, msg: error.message });
+        }
+    }
+
+    readBody(req) {
+        return new Promise(resolve => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => resolve(data));
+        });
+    }
+
+    send(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+
+    // 'key' = API key header only (listenKey), 'signed' = key + HMAC signature + timestamp
+    authenticate(req, level, rawQuery, body, params) {
+        if (req.headers['x-mbx-apikey'] !== this.apiKey) {
+            throw MatchingEngine.error(-2015, 'Invalid API-key, IP, or permissions for action.');
+        }
+        if (level !== 'signed') return;
+
+        if (!params.signature) {
+            throw MatchingEngine.error(-1102, "Mandatory parameter 'signature' was not sent, was empty/null, or malformed.");
+        }
+
+        // Binance signs the exact query string (minus signature) followed by the body
+        const payload = rawQuery.split('&').filter(part => !part.startsWith('signature=')).join('&') + body;
+        const expected = crypto.createHmac('sha256', this.secretKey).update(payload).digest('hex');
+        if (expected !== params.signature) {
+            throw MatchingEngine.error(-1022, 'Signature for this request is not valid.');
+        }
+
+        const timestamp = parseInt(params.timestamp, 10);
+        const recvWindow = parseInt(params.recvWindow || '5000', 10);
+        const now = this.now();
+        if (!timestamp || timestamp > now + 1000 || now - timestamp > recvWindow) {
+            throw MatchingEngine.error(-1021, "Timestamp for this request is outside of the recvWindow.");
+        }
+    }
+
+    now() {
+        return Date.now() + this.clockSkew;
+    }
+
+    requireSymbol(params) {
+        if (!params.symbol || !this.symbols.has(params.symbol)) {
+            throw MatchingEngine.error(-1121, 'Invalid symbol.');
+        }
+        return params.symbol;
+    }
+
+    // === ROUTES ===
+    routes() {
+        return {
+            'GET /fapi/v1/ping': { fn: () => ({}) },
+            'GET /fapi/v1/time': { fn: () => ({ serverTime: this.now() }) },
+            'GET /fapi/v1/exchangeInfo': { fn: () => this.exchangeInfo() },
+            'GET /fapi/v1/klines': { fn: params => this.klines(params) },
+            'GET /fapi/v1/ticker/price': { fn: params => this.tickerPrice(params) },
+            'GET /fapi/v1/ticker/bookTicker': { fn: params => this.bookTicker(params) },
+
+            'POST /fapi/v1/listenKey': { auth: 'key', fn: () => this.createListenKey() },
+            'PUT /fapi/v1/listenKey': { auth: 'key', fn: () => ({}) },
+            'DELETE /fapi/v1/listenKey': { auth: 'key', fn: () => ({}) },
+
+            'GET /fapi/v2/account': { auth: 'signed', fn: () => this.account() },
+            'GET /fapi/v2/positionRisk': { auth: 'signed', fn: params => this.positionRisk(params) },
+            'GET /fapi/v1/openOrders': { auth: 'signed', fn: params => this.openOrders(params) },
+            'GET /fapi/v1/allOrders': { auth: 'signed', fn: params => this.allOrders(params) },
+            'GET /fapi/v1/order': { auth: 'signed', fn: params => this.toBinanceOrder(this.findOrder(params)) },
+            'POST /fapi/v1/order': { auth: 'signed', fn: params => this.placeOrder(params) },
+            'DELETE /fapi/v1/order': { auth: 'signed', fn: params => this.cancelOrder(params) },
+            'POST /fapi/v1/batchOrders': { auth: 'signed', fn: params => this.batchOrders(params) },
+            'POST /fapi/v1/countdownCancelAll': { auth: 'signed', fn: params => this.countdownCancelAll(params) },
+            'POST /fapi/v1/leverage': { auth: 'signed', fn: params => this.leverage(params) },
+            'POST /fapi/v1/marginType': { auth: 'signed', fn: params => this.marginType(params) },
+            'GET /fapi/v1/positionSide/dual': { auth: 'signed', fn: () => this.positionMode() },
+            'POST /fapi/v1/positionSide/dual': { auth: 'signed', fn: params => this.setPositionMode(params) }
+        };
+    }
+
+    exchangeInfo() {
+        return {
+            timezone: 'UTC',
+            serverTime: this.now(),
+            symbols: Array.from(this.symbols.values()).map(({ spec }) => ({
+                symbol: spec.symbol,
+                status: 'TRADING',
+                baseAsset: spec.symbol.replace(/USDT$/, ''),
+                quoteAsset: 'USDT',
+                pricePrecision: spec.pricePrecision,
+                quantityPrecision: spec.quantityPrecision,
+                filters: [
+                    { filterType: 'PRICE_FILTER', tickSize: String(spec.tickSize), minPrice: String(spec.tickSize), maxPrice: '1000000' },
+                    { filterType: 'LOT_SIZE', stepSize: String(spec.stepSize), minQty: String(spec.minQty), maxQty: '1000000' },
+                    { filterType: 'MARKET_LOT_SIZE', stepSize: String(spec.stepSize), minQty: String(spec.minQty), maxQty: '1000000' },
+                    { filterType: 'MIN_NOTIONAL', notional: String(spec.minNotional) }
+                ]
+            }))
+        };
+    }
+
+    klines(params) {
+        const symbol = this.requireSymbol(params);
+        const intervalMs = KlineInterval.toMs(params.interval || '1m');
+        const limit = Math.min(parseInt(params.limit || '500', 10), 1500);
+        const candles = this.aggregateCandles(this.symbols.get(symbol).candles, intervalMs, limit);
+
+        return candles.map(c => [
+            c.time, String(c.open), String(c.high), String(c.low), String(c.close), String(c.volume),
+            c.time + intervalMs - 1, String(c.volume * c.close), 100, String(c.volume / 2), String(c.volume * c.close / 2), '0'
+        ]);
+    }
+
+    tickerPrice(params) {
+        const symbol = this.requireSymbol(params);
+        return { symbol, price: String(this.engine.getPrice(symbol)), time: Date.now() };
+    }
+
+    // One tick either side of the engine price, so post-only orders at the touch rest
+    bookTicker(params) {
+        const symbol = this.requireSymbol(params);
+        const { spec, candles } = this.symbols.get(symbol);
+        const price = this.engine.getPrice(symbol);
+        const depth = String(candles[candles.length - 1]?.volume ?? 0);
+        const decimals = Math.max(0, Math.ceil(-Math.log10(spec.tickSize)));
+        return {
+            symbol,
+            bidPrice: (Math.floor(price / spec.tickSize) * spec.tickSize - spec.tickSize).toFixed(decimals),
+            bidQty: depth,
+            askPrice: (Math.ceil(price / spec.tickSize) * spec.tickSize + spec.tickSize).toFixed(decimals),
+            askQty: depth,
+            time: Date.now()
+        };
+    }
+
+    createListenKey() {
+        const listenKey = crypto.randomBytes(32).toString('hex');
+        this.listenKeys.add(listenKey);
+        return { listenKey };
+    }
+
+    account() {
+        const account = this.engine.getAccount();
+        return {
+            totalWalletBalance: String(account.walletBalance),
+            totalUnrealizedProfit: String(account.unrealizedPnl),
+            totalMarginBalance: String(account.marginBalance),
+            availableBalance: String(account.availableBalance),
+            maxWithdrawAmount: String(account.availableBalance),
+            assets: [{
+                asset: account.asset,
+                walletBalance: String(account.walletBalance),
+                unrealizedProfit: String(account.unrealizedPnl),
+                marginBalance: String(account.marginBalance),
+                availableBalance: String(account.availableBalance)
+            }],
+            positions: this.positionRisk({}).filter(p => parseFloat(p.positionAmt) !== 0)
+        };
+    }
+
+    // Hedge mode reports a LONG and a SHORT row per symbol, one-way a single BOTH row
+    positionRisk(params) {
+        const symbols = params.symbol ? [this.requireSymbol(params)] : Array.from(this.symbols.keys());
+        const positionSides = this.engine.dualSidePosition ? ['LONG', 'SHORT'] : ['BOTH'];
+        return symbols.flatMap(symbol => positionSides.map(positionSide => {
+            const p = this.engine.positionSnapshot(symbol, positionSide);
+            return {
+                symbol,
+                positionAmt: String(p.amount),
+                entryPrice: String(p.entryPrice),
+                markPrice: String(p.markPrice),
+                unRealizedProfit: String(p.unrealizedPnl),
+                liquidationPrice: '0',
+                leverage: String(p.leverage),
+                marginType: p.marginType === 'isolated' ? 'isolated' : 'cross',
+                positionSide,
+                notional: String(p.amount * p.markPrice),
+                updateTime: Date.now()
+            };
+        }));
+    }
+
+    openOrders(params) {
+        if (params.symbol) this.requireSymbol(params);
+        return this.engine.getOpenOrders(params.symbol || null).map(o => this.toBinanceOrder(o));
+    }
+
+    allOrders(params) {
+        const symbol = this.requireSymbol(params);
+        const limit = parseInt(params.limit || '500', 10);
+        return Array.from(this.engine.orders.values())
+            .filter(o => o.symbol === symbol)
+            .slice(-limit)
+            .map(o => this.toBinanceOrder(this.engine.snapshot(o)));
+    }
+
+    findOrder(params) {
+        const symbol = this.requireSymbol(params);
+        if (params.orderId) return this.engine.getOrder(symbol, params.orderId);
+        return this.engine.getOrderByClientId(symbol, params.origClientOrderId);
+    }
+
+    placeOrder(params) {
+        this.requireSymbol(params);
+        const order = this.engine.placeOrder({
+            symbol: params.symbol,
+            side: params.side,
+            type: params.type,
+            quantity: params.quantity,
+            price: params.price,
+            stopPrice: params.stopPrice,
+            activationPrice: params.activationPrice,
+            callbackRate: params.callbackRate,
+            timeInForce: params.timeInForce,
+            reduceOnly: params.reduceOnly,
+            closePosition: params.closePosition,
+            workingType: params.workingType,
+            positionSide: params.positionSide,
+            clientOrderId: params.newClientOrderId
+        });
+        return this.toBinanceOrder(order);
+    }
+
+    cancelOrder(params) {
+        const order = this.findOrder(params);
+        return this.toBinanceOrder(this.engine.cancelOrder(order.symbol, order.orderId));
+    }
+
+    countdownCancelAll(params) {
+        this.requireSymbol(params);
+        const countdownTime = parseInt(params.countdownTime, 10);
+        if (!Number.isInteger(countdownTime) || countdownTime < 0) {
+            throw MatchingEngine.error(-1102, "Mandatory parameter 'countdownTime' was not sent, was empty/null, or malformed.");
+        }
+        return this.engine.setCountdownCancelAll(params.symbol, countdownTime);
+    }
+
+    batchOrders(params) {
+        let orders;
+        try {
+            orders = JSON.parse(params.batchOrders);
+        } catch (error) {
+            throw MatchingEngine.error(-1130, 'Data sent for parameter batchOrders is not valid.');
+        }
+        if (!Array.isArray(orders) || orders.length > 5) {
+            throw MatchingEngine.error(-1130, 'Data sent for parameter batchOrders is not valid.');
+        }
+
+        // Each leg succeeds or fails on its own, exactly like the real endpoint
+        return orders.map(order => {
+            try {
+                return this.placeOrder(order);
+            } catch (error) {
+                return { code: error.code ?? -1000, msg: error.msg ?? error.message };
+            }
+        });
+    }
+
+    leverage(params) {
+        const symbol = this.requireSymbol(params);
+        const leverage = parseInt(params.leverage, 10);
+        this.engine.setLeverage(symbol, leverage);
+        return { symbol, leverage, maxNotionalValue: '1000000' };
+    }
+
+    marginType(params) {
+        const symbol = this.requireSymbol(params);
+        return this.engine.setMarginType(symbol, params.marginType);
+    }
+
+    positionMode() {
+        return { dualSidePosition: this.engine.dualSidePosition };
+    }
+
+    setPositionMode(params) {
+        this.engine.setPositionMode(params.dualSidePosition === 'true' ? 'HEDGE' : 'ONE_WAY');
+        return { code: 200, msg: 'success' };
+    }
+
+    toBinanceOrder(o) {
+        const trailing = o.type === 'TRAILING_STOP_MARKET' ? { priceRate: String(o.callbackRate) } : {};
+        if (o.activationPrice) trailing.activatePrice = String(o.activationPrice);
+        return {
+            orderId: o.orderId,
+            symbol: o.symbol,
+            status: o.status,
+            clientOrderId: o.clientOrderId,
+            price: String(o.price),
+            avgPrice: String(o.avgPrice),
+            origQty: String(o.origQty),
+            executedQty: String(o.executedQty),
+            cumQuote: String(o.executedQty * o.avgPrice),
+            timeInForce: o.timeInForce,
+            type: o.type,
+            reduceOnly: o.reduceOnly,
+            closePosition: o.closePosition,
+            side: o.side,
+            positionSide: o.positionSide,
+            stopPrice: String(o.stopPrice),
+            workingType: o.workingType,
+            priceProtect: false,
+            origType: o.type,
+            ...trailing,
+            updateTime: o.updateTime
+        };
+    }
+}
+
+export default FakeBinanceServer;
@@ -0,0 +1,57 @@
+// Deterministic price generators for the fake server.
+//   { type: 'walk', start, volatility, drift, seed }  - seeded random walk (volatility/drift in % per tick)
+//   { type: 'script', prices: [...], loop }           - replays a fixed price sequence
+class PricePath {
+    constructor(spec) {
+        this.spec = spec;
+        this.type = spec.type || 'walk';
+        this.price = spec.start ?? spec.prices?.[0];
+        this.index = 0;
+        this.random = PricePath.mulberry32(spec.seed ?? 42);
+
+        if (this.type === 'script' && (!Array.isArray(spec.prices) || spec.prices.length === 0)) {
+            throw new Error('Script price path needs a non-empty prices array');
+        }
+        if (!(this.price > 0)) {
+            throw new Error('Price path needs a positive start price');
+        }
+    }
+
+    // Small, fast seeded PRNG - the same seed always replays the same market
+    static mulberry32(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    next() {
+        if (this.type === 'script') {
+            const { prices, loop = true } = this.spec;
+            this.index = loop ? (this.index + 1) % prices.length : Math.min(this.index + 1, prices.length - 1);
+            this.price = prices[this.index];
+            return this.price;
+        }
+
+        const volatility = (this.spec.volatility ?? 0.05) / 100;
+        const drift = (this.spec.drift ?? 0) / 100;
+        const shock = (this.random() * 2 - 1) * volatility;
+        this.price = Math.max(this.price * (1 + drift + shock), Number.EPSILON);
+        return this.price;
+    }
+
+    // Random-walk steps used to build synthetic history, independent of the live path
+    noise(volatility = 0.05) {
+        return (this.random() * 2 - 1) * (volatility / 100);
+    }
+
+    nextVolume(base = 100) {
+        return base * (0.5 + this.random());
+    }
+}
+
+export default PricePath;
@@ -0,0 +1,50 @@
+import config from '#config';
+import FakeBinanceServer from './FakeBinanceServer.js';
+import scenarios from './scenarios.js';
+
+// Usage: node simulator/runFakeServer.js [--scenario=default] [--tick=1000] [--balance=10000] [--skew=0] [--verbose]
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value ?? true];
+}));
+
+async function main() {
+    const scenarioName = args.scenario || 'default';
+    const scenario = scenarios[scenarioName];
+    if (!scenario) {
+        console.error(`❌ Unknown scenario "${scenarioName}". Available: ${Object.keys(scenarios).join(', ')}`);
+        process.exit(1);
+    }
+
+    const local = config.binance.local;
+    const { hostname, port } = new URL(local.baseURL);
+
+    const server = new FakeBinanceServer({
+        apiKey: local.apiKey,
+        secretKey: local.secretKey,
+        host: hostname,
+        port: parseInt(port, 10),
+        tickIntervalMs: parseInt(args.tick || '1000', 10),
+        clockSkewMs: parseInt(args.skew || '0', 10),
+        symbols: scenario(),
+        account: { ...config.paper, initialBalance: parseFloat(args.balance || config.paper.initialBalance) },
+        log: args.verbose ? message => console.log(`📡 ${message}`) : undefined
+    });
+
+    await server.start();
+    console.log(`🧪 Fake Binance Futures listening on ${local.baseURL} (scenario: ${scenarioName})`);
+    console.log(`   Symbols: ${Array.from(server.symbols.keys()).join(', ')}`);
+    console.log(`   Run the bot against it with BOT_ENVIRONMENT=local`);
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, async () => {
+            await server.stop();
+            process.exit(0);
+        });
+    });
+}
+
+main().catch(error => {
+    console.error('❌ Fake server failed:', error.message);
+    process.exit(1);
+});
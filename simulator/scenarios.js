@@ -0,0 +1,49 @@
+// Price scenarios for the fake server. Each symbol gets exchange rules plus a PricePath spec
+// (see PricePath.js). Pick one with `npm run fake-server -- --scenario=<name>`.
+const symbol = (name, start, rules, path) => ({
+    symbol: name,
+    tickSize: rules.tickSize,
+    stepSize: rules.stepSize,
+    minQty: rules.stepSize,
+    minNotional: rules.minNotional ?? 5,
+    pricePrecision: rules.pricePrecision,
+    quantityPrecision: rules.quantityPrecision,
+    path: { start, ...path }
+});
+
+const RULES = {
+    BTCUSDT: { tickSize: 0.1, stepSize: 0.001, pricePrecision: 2, quantityPrecision: 3, minNotional: 100 },
+    ETHUSDT: { tickSize: 0.01, stepSize: 0.001, pricePrecision: 2, quantityPrecision: 3, minNotional: 20 },
+    BNBUSDT: { tickSize: 0.01, stepSize: 0.01, pricePrecision: 2, quantityPrecision: 2 },
+    XRPUSDT: { tickSize: 0.0001, stepSize: 0.1, pricePrecision: 4, quantityPrecision: 1 },
+    DOGEUSDT: { tickSize: 0.00001, stepSize: 1, pricePrecision: 5, quantityPrecision: 0 }
+};
+
+const START_PRICES = { BTCUSDT: 65000, ETHUSDT: 3200, BNBUSDT: 580, XRPUSDT: 0.52, DOGEUSDT: 0.12 };
+
+const scenarios = {
+    // Calm seeded random walks
+    default: () => Object.keys(RULES).map((name, i) =>
+        symbol(name, START_PRICES[name], RULES[name], { type: 'walk', volatility: 0.05, seed: i + 1 })),
+
+    // Steady uptrend - long setups should trigger and reach their TP
+    trend_up: () => Object.keys(RULES).map((name, i) =>
+        symbol(name, START_PRICES[name], RULES[name], { type: 'walk', volatility: 0.04, drift: 0.01, seed: i + 11 })),
+
+    // Violent chop - exercises stop losses and gap handling
+    volatile: () => Object.keys(RULES).map((name, i) =>
+        symbol(name, START_PRICES[name], RULES[name], { type: 'walk', volatility: 0.4, seed: i + 21 })),
+
+    // Scripted BTC path: rally, sharp drop through any stop, recovery
+    stop_hunt: () => [
+        symbol('BTCUSDT', 65000, RULES.BTCUSDT, {
+            type: 'script',
+            loop: false,
+            prices: [65000, 65100, 65250, 65400, 65300, 64500, 63800, 64200, 64900, 65500]
+        }),
+        ...Object.keys(RULES).filter(name => name !== 'BTCUSDT').map((name, i) =>
+            symbol(name, START_PRICES[name], RULES[name], { type: 'walk', volatility: 0.05, seed: i + 31 }))
+    ]
+};
+
+export default scenarios;
@@ -1,3 +1,5 @@
+import KlineInterval from '#utils/KlineInterval';
+
 class BaseStrategy {
     constructor(config) {
         this.config = config;
@@ -39,6 +41,70 @@ class BaseStrategy {
             };
         }
     }
+
+    // Strategy defaults from config.strategy.timeExits, overridden by the symbol's timeExits.
+    // The older config.strategy.maxHoldTime (ms) still sets the strategy-wide max hold when present.
+    getTimeExits(symbol) {
+        const { timeExits, maxHoldTime } = this.config.strategy;
+        const symbolConfig = this.config.getSymbolConfig(symbol);
+        return {
+            ...timeExits,
+            ...(maxHoldTime > 0 && { maxHoldMinutes: maxHoldTime / (60 * 1000) }),
+            ...symbolConfig.timeExits
+        };
+    }
+
+    // 'MAX_HOLD_TIME_REACHED' or 'NO_PROGRESS' for a position held `heldMs` that is `profitR` in profit
+    checkTimeExit(symbol, heldMs, profitR) {
+        const { maxHoldMinutes, noProgressCandles, noProgressMinR } = this.getTimeExits(symbol);
+
+        if (maxHoldMinutes > 0 && heldMs >= maxHoldMinutes * 60 * 1000) {
+            return 'MAX_HOLD_TIME_REACHED';
+        }
+
+        const candleMs = KlineInterval.toMs(this.config.strategy.timeframe);
+        if (noProgressCandles > 0 && heldMs >= noProgressCandles * candleMs && profitR < noProgressMinR) {
+            return 'NO_PROGRESS';
+        }
+        return null;
+    }
+
+    // Partial take-profit prices at R-multiples of the entry-to-stop distance
+    calculateTakeProfitLadder(entryPrice, side, stopLoss, ladder = []) {
+        const risk = Math.abs(entryPrice - stopLoss);
+        const direction = side === 'BUY' ? 1 : -1;
+
+        return ladder.map(({ atR, percent }, index) => ({
+            level: index + 1,
+            percent,
+            price: entryPrice + direction * atR * risk
+        }));
+    }
+
+    // TRAILING_STOP_MARKET parameters: trail distance and arming price from ATR, else config percentages
+    calculateTrailingStop(entryPrice, side, indicators = {}) {
+        const trailing = this.config.trading.trailingStop;
+        let callbackPercent = trailing.callbackPercent;
+        let activationPercent = trailing.activationPercent;
+
+        if (indicators.atr) {
+            const atrPercent = (indicators.atr / entryPrice) * 100;
+            if (trailing.atrMultiplier > 0) callbackPercent = atrPercent * trailing.atrMultiplier;
+            if (trailing.activationAtrMultiplier > 0) activationPercent = atrPercent * trailing.activationAtrMultiplier;
+        }
+
+        // Binance accepts 0.1-10% in 0.1 steps
+        const callbackRate = Math.round(Math.min(Math.max(callbackPercent, 0.1), 10) * 10) / 10;
+
+        let activationPrice = null;
+        if (activationPercent > 0) {
+            activationPrice = side === 'BUY'
+                ? entryPrice * (1 + activationPercent / 100)
+                : entryPrice * (1 - activationPercent / 100);
+        }
+
+        return { callbackRate, activationPrice };
+    }
 }
 
 export default BaseStrategy;
\ No newline at end of file
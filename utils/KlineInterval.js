@@ -0,0 +1,13 @@
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Binance kline intervals ('1m', '15m', '4h', '1d', '1w') - shared by the market data stream,
+// strategies and the fake server
+class KlineInterval {
+    static toMs(interval) {
+        const match = /^(\d+)([mhdw])$/.exec(interval);
+        if (!match) throw new Error(`Unsupported kline interval: ${interval}`);
+        return parseInt(match[1], 10) * UNITS[match[2]];
+    }
+}
+
+export default KlineInterval;
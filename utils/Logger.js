@@ -51,6 +51,11 @@ class Logger {
         this.writeToFile(this.tradesLog, fullMessage);
     }
 
+    warn(message) {
+        const fullMessage = `⚠️ ${message}`;
+        console.warn(fullMessage);
+    }
+
     info(message) {
         const fullMessage = `ℹ️ ${message}`;
         console.log(fullMessage);
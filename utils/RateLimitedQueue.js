@@ -1,76 +1,171 @@
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Budget-based request queue. Every request carries a cost per budget kind
+// (e.g. { weight: 5, orders: 1 }) and only runs once it fits in every budget of that kind.
+// Budgets are fixed windows ('weight:1m', 'orders:10s', ...) charged up front and corrected
+// from the usage the venue reports back. backoff() pauses the whole queue.
 class RateLimitedQueue {
-    constructor(rateLimit, burstLimit, maxConcurrent = 20) {
-        this.rateLimit = rateLimit;
-        this.burstLimit = burstLimit;
-        this.maxConcurrent = maxConcurrent;
-        this.tokens = burstLimit;
-        this.lastRefill = Date.now();
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent ?? 10;
+        this.safetyMargin = options.safetyMargin ?? 0.9; // Leave headroom for other clients on the same IP/account
+        this.budgets = new Map();  // 'kind:interval' -> { kind, interval, windowMs, limit, used, windowStart }
         this.queue = [];
         this.running = 0;
-        this.waitingResolvers = []; // 🆕 Track waiting promises
+        this.pausedUntil = 0;
+        this.timer = null;
+
+        for (const { kind, interval, limit } of options.budgets || []) {
+            this.setBudget(kind, interval, limit);
+        }
     }
 
-    refillTokens() {
-        const now = Date.now();
-        const timePassed = now - this.lastRefill;
-        const refillAmount = (timePassed / 1000) * (this.rateLimit / 60);
-        this.tokens = Math.min(this.burstLimit, this.tokens + refillAmount);
-        this.lastRefill = now;
+    static intervalToMs(interval) {
+        const match = /^(\d+)([smhd])$/i.exec(interval);
+        if (!match) throw new Error(`Unsupported rate limit interval: ${interval}`);
+        return parseInt(match[1], 10) * INTERVAL_UNITS[match[2].toLowerCase()];
     }
 
-    async waitForToken() {
-        this.refillTokens();
-        
-        if (this.tokens > 0) {
-            this.tokens--;
+    setBudget(kind, interval, limit) {
+        const key = `${kind}:${interval.toLowerCase()}`;
+        const existing = this.budgets.get(key);
+        if (existing) {
+            existing.limit = limit;
             return;
         }
-
-        // 🆕 More efficient waiting using Promise resolution
-        return new Promise((resolve) => {
-            this.waitingResolvers.push(resolve);
+        this.budgets.set(key, {
+            kind,
+            interval: interval.toLowerCase(),
+            windowMs: RateLimitedQueue.intervalToMs(interval),
+            limit,
+            used: 0,
+            windowStart: 0
         });
     }
 
-    // 🆕 New method to notify waiting promises when tokens are available
-    notifyWaiters() {
-        this.refillTokens();
-        
-        while (this.waitingResolvers.length > 0 && this.tokens > 0) {
-            const resolver = this.waitingResolvers.shift();
-            this.tokens--;
-            resolver();
+    // === BUDGETS ===
+    roll(budget, now) {
+        const windowStart = Math.floor(now / budget.windowMs) * budget.windowMs;
+        if (windowStart !== budget.windowStart) {
+            budget.windowStart = windowStart;
+            budget.used = 0;
+        }
+    }
+
+    fits(cost, now) {
+        for (const budget of this.budgets.values()) {
+            const amount = cost[budget.kind] || 0;
+            if (!amount) continue;
+
+            this.roll(budget, now);
+            const capacity = budget.limit * this.safetyMargin;
+            // A single request bigger than the headroom still runs in an empty window
+            if (budget.used > 0 && budget.used + amount > capacity) return false;
+        }
+        return true;
+    }
+
+    charge(cost, now) {
+        for (const budget of this.budgets.values()) {
+            const amount = cost[budget.kind] || 0;
+            if (!amount) continue;
+            this.roll(budget, now);
+            budget.used += amount;
         }
     }
 
-    enqueue(fn) {
-        this.queue.push(fn);
+    // Venue-reported usage, e.g. { kind: 'weight', interval: '1m', used: 830 }.
+    // Local charges may lag other clients or overcount in-flight requests - keep the higher one.
+    syncUsage(kind, interval, used) {
+        const budget = this.budgets.get(`${kind}:${interval.toLowerCase()}`);
+        if (!budget || !Number.isFinite(used)) return;
+
+        this.roll(budget, Date.now());
+        budget.used = Math.max(budget.used, used);
+    }
+
+    backoff(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
         this.dequeue();
     }
 
-    async dequeue() {
-        if (this.running >= this.maxConcurrent) return;
+    isPaused() {
+        return Date.now() < this.pausedUntil;
+    }
 
-        const item = this.queue.shift();
-        if (!item) return;
+    // === QUEUE ===
+    schedule(fn, cost = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ fn, cost, resolve, reject });
+            this.dequeue();
+        });
+    }
+
+    dequeue() {
+        const now = Date.now();
+        if (this.queue.length === 0) return;
+        if (now < this.pausedUntil) {
+            this.wakeAt(this.pausedUntil);
+            return;
+        }
 
+        // Skip past requests that don't fit yet, so e.g. cancels still run when the order budget is spent
+        for (let i = 0; i < this.queue.length && this.running < this.maxConcurrent;) {
+            const item = this.queue[i];
+            if (!this.fits(item.cost, now)) {
+                i++;
+                continue;
+            }
+            this.queue.splice(i, 1);
+            this.charge(item.cost, now);
+            this.run(item);
+        }
+
+        if (this.queue.length > 0 && this.running < this.maxConcurrent) {
+            this.wakeAt(this.nextWindowStart(now));
+        }
+    }
+
+    async run(item) {
         this.running++;
-        
         try {
-            await this.waitForToken();
-            item(async () => {
-                this.running--;
-                // 🆕 Notify waiters when a request completes
-                this.notifyWaiters();
-                this.dequeue();
-            });
+            item.resolve(await item.fn());
         } catch (error) {
+            item.reject(error);
+        } finally {
             this.running--;
-            this.notifyWaiters();
             this.dequeue();
         }
     }
 
+    nextWindowStart(now) {
+        let next = Infinity;
+        for (const budget of this.budgets.values()) {
+            if (budget.used > 0) {
+                next = Math.min(next, budget.windowStart + budget.windowMs);
+            }
+        }
+        return Number.isFinite(next) ? next : now + 100;
+    }
+
+    wakeAt(time) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.dequeue();
+        }, Math.max(time - Date.now(), 0) + 5);
+    }
+
+    getStats() {
+        return {
+            queueLength: this.queue.length,
+            running: this.running,
+            pausedFor: Math.max(this.pausedUntil - Date.now(), 0),
+            budgets: Array.from(this.budgets.values()).map(budget => {
+                this.roll(budget, Date.now());
+                return { kind: budget.kind, interval: budget.interval, used: budget.used, limit: budget.limit };
+            })
+        };
+    }
 }
 
-export default RateLimitedQueue;
\ No newline at end of file
+export default RateLimitedQueue;
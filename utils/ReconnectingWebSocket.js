@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+// WebSocket wrapper with heartbeat (ping/pong) and exponential reconnect.
+// Emits: 'open', 'message' (parsed JSON), 'close', 'error', 'reconnecting'
+class ReconnectingWebSocket extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.pingInterval = options.pingInterval ?? 30000;
+        this.pongTimeout = options.pongTimeout ?? 10000;
+        this.reconnectDelay = options.reconnectDelay ?? 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay ?? 30000;
+        // Binance drops every connection after 24h - rotate before that happens
+        this.maxConnectionAge = options.maxConnectionAge ?? 23 * 60 * 60 * 1000;
+
+        this.ws = null;
+        this.shouldReconnect = false;
+        this.reconnectAttempts = 0;
+        this.connectionCount = 0;
+        this.lastMessageTime = 0;
+
+        this.pingTimer = null;
+        this.pongTimer = null;
+        this.reconnectTimer = null;
+        this.rotateTimer = null;
+    }
+
+    get isOpen() {
+        return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    connect() {
+        this.shouldReconnect = true;
+        this.openSocket();
+    }
+
+    openSocket() {
+        clearTimeout(this.reconnectTimer);
+
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            this.reconnectAttempts = 0;
+            this.connectionCount++;
+            this.lastMessageTime = Date.now();
+            this.startHeartbeat();
+            this.rotateTimer = setTimeout(() => ws.terminate(), this.maxConnectionAge);
+            this.emit('open', { reconnected: this.connectionCount > 1 });
+        });
+
+        ws.on('message', raw => {
+            this.lastMessageTime = Date.now();
+            try {
+                this.emit('message', JSON.parse(raw.toString()));
+            } catch (error) {
+                this.emit('error', new Error(`Invalid stream payload: ${error.message}`));
+            }
+        });
+
+        // Server-initiated pings are answered automatically by ws; our own pings
+        // only need to see a pong back to prove the connection is alive
+        ws.on('pong', () => {
+            clearTimeout(this.pongTimer);
+            this.pongTimer = null;
+        });
+
+        ws.on('error', error => {
+            this.emit('error', error);
+        });
+
+        ws.on('close', (code, reason) => {
+            this.stopHeartbeat();
+            clearTimeout(this.rotateTimer);
+            if (this.ws === ws) this.ws = null;
+
+            this.emit('close', { code, reason: reason?.toString() });
+            if (this.shouldReconnect) this.scheduleReconnect();
+        });
+    }
+
+    scheduleReconnect() {
+        const delay = Math.min(
+            this.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+            this.maxReconnectDelay
+        );
+        this.reconnectAttempts++;
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+        this.reconnectTimer = setTimeout(() => this.openSocket(), delay);
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.pingTimer = setInterval(() => {
+            if (!this.isOpen) return;
+            if (this.pongTimer) return; // Still waiting on the previous pong
+
+            this.ws.ping();
+            this.pongTimer = setTimeout(() => {
+                this.emit('error', new Error(`No pong within ${this.pongTimeout}ms - reconnecting`));
+                this.ws?.terminate();
+            }, this.pongTimeout);
+        }, this.pingInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.pingTimer);
+        clearTimeout(this.pongTimer);
+        this.pingTimer = null;
+        this.pongTimer = null;
+    }
+
+    send(payload) {
+        if (!this.isOpen) return false;
+        this.ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+        return true;
+    }
+
+    close() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.rotateTimer);
+        this.stopHeartbeat();
+
+        if (this.ws) {
+            this.ws.removeAllListeners('message');
+            this.ws.terminate();
+            this.ws = null;
+        }
+    }
+}
+
+export default ReconnectingWebSocket;
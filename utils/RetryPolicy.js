@@ -0,0 +1,28 @@
+// Exponential backoff with jitter for classified errors ({ retryable, notExecuted, retryAfterMs }).
+// Non-idempotent requests (order placement) are only resent when the error proves the first
+// attempt was never executed - otherwise a retry could open the same position twice.
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseDelay = options.baseDelayMs ?? 250;
+        this.maxDelay = options.maxDelayMs ?? 5000;
+        this.jitter = options.jitter ?? 0.5; // Fraction of the delay that is randomized
+    }
+
+    shouldRetry(error, attempt, idempotent = true) {
+        if (attempt >= this.maxRetries) return false;
+        if (!error?.retryable) return false;
+        if (!idempotent && !error.notExecuted) return false;
+        // Waiting out a long Retry-After would act on a stale decision
+        if (error.retryAfterMs > this.maxDelay) return false;
+        return true;
+    }
+
+    delayFor(attempt, error = null) {
+        const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        const delay = exponential * (1 - this.jitter + Math.random() * this.jitter);
+        return Math.round(Math.max(delay, error?.retryAfterMs || 0));
+    }
+}
+
+export default RetryPolicy;
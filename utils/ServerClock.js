@@ -0,0 +1,77 @@
+// Tracks the offset between the local clock and the exchange clock so signed requests
+// carry server-aligned timestamps. `fetchServerTime` resolves to the server time in ms.
+class ServerClock {
+    constructor(fetchServerTime, options = {}) {
+        this.fetchServerTime = fetchServerTime;
+        this.syncInterval = options.syncIntervalMs ?? 60000;
+        this.maxDrift = options.maxDriftMs ?? 1000;
+        this.maxSyncAge = options.maxSyncAgeMs ?? this.syncInterval * 3;
+
+        this.offset = 0;          // serverTime - localTime
+        this.roundTrip = null;
+        this.lastSync = 0;
+        this.lastError = null;
+        this.syncing = null;
+        this.timer = null;
+    }
+
+    now() {
+        return Date.now() + Math.round(this.offset);
+    }
+
+    // Collapses concurrent syncs (e.g. several requests failing with -1021 at once)
+    sync() {
+        if (this.syncing) return this.syncing;
+
+        this.syncing = (async () => {
+            try {
+                const sentAt = Date.now();
+                const serverTime = await this.fetchServerTime();
+                const receivedAt = Date.now();
+
+                // Assume the server stamped the response halfway through the round trip
+                this.roundTrip = receivedAt - sentAt;
+                this.offset = serverTime - (sentAt + this.roundTrip / 2);
+                this.lastSync = receivedAt;
+                this.lastError = null;
+                return this.getStatus();
+            } catch (error) {
+                this.lastError = error.message;
+                throw error;
+            } finally {
+                this.syncing = null;
+            }
+        })();
+
+        return this.syncing;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.sync().catch(() => {}), this.syncInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Healthy = synced recently and the local clock is within maxDrift of the server
+    getStatus() {
+        const synced = this.lastSync > 0;
+        const drift = Math.abs(this.offset);
+        const stale = !synced || Date.now() - this.lastSync > this.maxSyncAge;
+        return {
+            synced,
+            offset: Math.round(this.offset),
+            drift: Math.round(drift),
+            roundTrip: this.roundTrip,
+            lastSync: this.lastSync,
+            lastError: this.lastError,
+            healthy: !stale && drift <= this.maxDrift
+        };
+    }
+}
+
+export default ServerClock;
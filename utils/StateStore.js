@@ -0,0 +1,25 @@
+import fs from 'fs';
+import path from 'path';
+
+// JSON snapshot of bot state on disk. Written through a temp file and a rename, so an exit
+// mid-write never leaves a truncated snapshot behind.
+class StateStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    save(state) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // null when nothing was saved yet
+    load() {
+        if (!fs.existsSync(this.filePath)) return null;
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+}
+
+export default StateStore;
@@ -0,0 +1,195 @@
+import ClientOrderId from '#bot/ClientOrderId';
+import StateStore from '#utils/StateStore';
+import config from '#config';
+
+// Runs beside the bot as its own process and watches the heartbeat file the bot writes. When the
+// heartbeats stop without a clean stop - file older than staleAfterSeconds, or the bot's pid gone -
+// it applies the fallback once per outage:
+//   'alert'   - log it, touch nothing
+//   'flatten' - close the bot's positions at market (reduce-only), then cancel its orders
+//   'protect' - cancel the bot's entry orders and keep TP/SL; a position whose stop is gone gets
+//               one re-placed at the last stop the bot reported (closed at market if rejected,
+//               unless adopted protect-only); without a reported stop it is only alerted
+// Only positions listed in the heartbeat and orders carrying the bot's clientOrderIds are touched.
+// Adopted 'protectOnly' positions are never closed - flatten leaves them on their TP/SL.
+class Watchdog {
+    constructor(client, settings, logger) {
+        this.client = client;
+        this.settings = settings;
+        this.logger = logger;
+        this.store = new StateStore(settings.heartbeatFile);
+        this.tripped = false;      // Fallback applied for the current outage
+        this.lastSeen = null;      // 'missing' | 'alive' | 'stopped' - logged on change only
+        this.timer = null;
+    }
+
+    start() {
+        this.check();
+        this.timer = setInterval(() => this.check(), this.settings.checkSeconds * 1000);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async check() {
+        let beat;
+        try {
+            beat = this.store.load();
+        } catch (error) {
+            // Read between the bot's write and rename - the next check sees the new file
+            this.logger.debug(`Heartbeat unreadable: ${error.message}`);
+            return;
+        }
+
+        if (!beat) return this.seen('missing', `🐕 No heartbeat at ${this.settings.heartbeatFile} yet - is watchdog.enabled set for the bot?`);
+        if (beat.botId !== config.botId || beat.environment !== config.environment) {
+            return this.seen('missing', `🐕 Heartbeat is from ${beat.botId}/${beat.environment}, watching ${config.botId}/${config.environment} - ignored`);
+        }
+        if (beat.stopped) {
+            this.tripped = false;
+            return this.seen('stopped', '🐕 Bot stopped cleanly - standing by');
+        }
+
+        const down = this.downReason(beat);
+        if (!down) {
+            if (this.tripped) this.logger.info('🐕 Bot heartbeat is back - watching again');
+            this.tripped = false;
+            return this.seen('alive', `🐕 Watching bot pid ${beat.pid} (${beat.positions.length} positions)`);
+        }
+        if (this.tripped) return;
+
+        this.tripped = true;
+        this.lastSeen = 'down';
+        this.logger.error(`🚨 Bot down: ${down} - ${beat.positions.length} positions, fallback: ${this.settings.fallback}`, 'Watchdog');
+        try {
+            if (this.settings.fallback === 'flatten') await this.flatten(beat);
+            if (this.settings.fallback === 'protect') await this.protect(beat);
+        } catch (error) {
+            this.logger.error(error.message, `Watchdog ${this.settings.fallback} failed`);
+        }
+    }
+
+    seen(status, message) {
+        if (this.lastSeen === status) return;
+        this.lastSeen = status;
+        this.logger.info(message);
+    }
+
+    downReason(beat) {
+        const age = Date.now() - beat.at;
+        if (age > this.settings.staleAfterSeconds * 1000) return `no heartbeat for ${Math.round(age / 1000)}s`;
+        if (!this.isAlive(beat.pid)) return `process ${beat.pid} is gone`;
+        return null;
+    }
+
+    // Signal 0 only checks that the process exists
+    isAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    ownOrder(order) {
+        const info = ClientOrderId.parse(order.clientOrderId);
+        return info && info.botId === config.botId && info.symbol === order.symbol ? info : null;
+    }
+
+    positionSide(beat, side) {
+        if (!beat.hedgeMode) return undefined;
+        return side === 'BUY' ? 'LONG' : 'SHORT';
+    }
+
+    async livePositions(beat) {
+        const positions = await this.client.getOpenPositions();
+        return beat.positions
+            .map(tracked => ({ tracked, live: positions.find(p => p.symbol === tracked.symbol && p.side === tracked.side) }))
+            .filter(({ live }) => live);
+    }
+
+    async closePosition(beat, tracked, live) {
+        const { symbol, side, tradeId, protectionRevision } = tracked;
+        const order = await this.client.placeMarketOrder(symbol, side === 'BUY' ? 'SELL' : 'BUY', live.quantity, {
+            clientOrderId: ClientOrderId.build(config.botId, symbol, tradeId, ClientOrderId.LEG.CLOSE, protectionRevision + 1),
+            positionSide: this.positionSide(beat, side),
+            reduceOnly: !beat.hedgeMode
+        });
+        this.logger.position(`CLOSED - ${symbol} | ${side} | ${live.quantity} @ $${live.entryPrice.toFixed(4)} | Reason: WATCHDOG | TradeID: ${tracked.positionId}`);
+        return order;
+    }
+
+    // Closes first - the reduce-only TP/SL keep covering each position until it is flat
+    async flatten(beat) {
+        const kept = new Set(beat.positions.filter(p => p.adopted === 'protectOnly').map(p => p.tradeId));
+        for (const { tracked, live } of await this.livePositions(beat)) {
+            if (kept.has(tracked.tradeId)) {
+                this.logger.info(`🐕 ${tracked.symbol} ${tracked.side} is adopted (protect only) - left on its TP/SL`);
+                continue;
+            }
+            try {
+                await this.closePosition(beat, tracked, live);
+            } catch (error) {
+                this.logger.error(error.message, `Watchdog: closing ${tracked.symbol} ${tracked.side} failed`);
+            }
+        }
+        await this.cancelOwnOrders(info => !kept.has(info.tradeId));
+    }
+
+    async protect(beat) {
+        await this.cancelOwnOrders(info => info.leg === ClientOrderId.LEG.ENTRY);
+
+        const openOrders = await this.client.getOpenOrders();
+        for (const { tracked, live } of await this.livePositions(beat)) {
+            const { symbol, side, tradeId, stopLoss, protectionRevision } = tracked;
+            const hasStop = openOrders.some(order => {
+                const info = this.ownOrder(order);
+                return info?.tradeId === tradeId && info.leg === ClientOrderId.LEG.STOP_LOSS;
+            });
+            if (hasStop) continue;
+
+            if (!(stopLoss > 0)) {
+                this.logger.error('No stop price in the heartbeat - nothing to re-place, check it by hand', `Watchdog: ${symbol} ${side} unprotected`);
+                continue;
+            }
+
+            try {
+                await this.client.placeStopMarketOrder(symbol, side === 'BUY' ? 'SELL' : 'BUY', live.quantity, stopLoss, {
+                    clientOrderId: ClientOrderId.build(config.botId, symbol, tradeId, ClientOrderId.LEG.STOP_LOSS, protectionRevision + 1),
+                    positionSide: this.positionSide(beat, side),
+                    workingType: config.getSymbolConfig(symbol).workingType
+                });
+                this.logger.trade(`🐕 ${symbol} ${side} stop re-placed at $${stopLoss}`);
+            } catch (error) {
+                if (tracked.adopted === 'protectOnly') {
+                    this.logger.error(`${error.msg || error.message} - adopted (protect only), left open`, `Watchdog: ${symbol} ${side} stop rejected`);
+                    continue;
+                }
+                // Usually the price is already through the stop - the position is closed instead
+                this.logger.error(`${error.msg || error.message} - closing at market`, `Watchdog: ${symbol} ${side} stop rejected`);
+                await this.closePosition(beat, tracked, live).catch(closeError =>
+                    this.logger.error(closeError.message, `Watchdog: closing ${symbol} ${side} failed`));
+            }
+        }
+    }
+
+    async cancelOwnOrders(filter) {
+        const orders = (await this.client.getOpenOrders()).filter(order => {
+            const info = this.ownOrder(order);
+            return info && filter(info);
+        });
+        for (const order of orders) {
+            try {
+                await this.client.cancelOrder(order.symbol, order.orderId);
+                this.logger.trade(`🐕 ${order.symbol} ${order.clientOrderId} cancelled`);
+            } catch (error) {
+                this.logger.error(error.message, `Watchdog: cancelling ${order.clientOrderId} failed`);
+            }
+        }
+    }
+}
+
+export default Watchdog;
@@ -0,0 +1,46 @@
+import config from '#config';
+import ExchangeFactory from '#bot/ExchangeFactory';
+import Logger from '#utils/Logger';
+import Watchdog from './Watchdog.js';
+
+// Usage: node watchdog/runWatchdog.js [--fallback=alert|flatten|protect]
+// Run it next to the bot (same .env / BOT_ENVIRONMENT / BOT_ID) with watchdog.enabled set for the bot.
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value ?? true];
+}));
+
+async function main() {
+    const logger = new Logger();
+    const settings = { ...config.watchdog, fallback: args.fallback || config.watchdog.fallback };
+    if (!['alert', 'flatten', 'protect'].includes(settings.fallback)) {
+        throw new Error(`Unknown fallback "${settings.fallback}" - use alert, flatten or protect`);
+    }
+
+    // Paper fills live inside the bot process - there is nothing the watchdog could reach
+    if (config.environment === 'paper' && settings.fallback !== 'alert') {
+        logger.warn(`Paper mode: the simulated account dies with the bot - fallback "${settings.fallback}" downgraded to alert`);
+        settings.fallback = 'alert';
+    }
+
+    const client = ExchangeFactory.createExchange(config.exchange, config);
+    if (settings.fallback !== 'alert') {
+        await client.syncTime();
+    }
+
+    const watchdog = new Watchdog(client, settings, logger);
+    logger.info(`🐕 Watchdog for ${config.botId}/${config.environment}: ${settings.heartbeatFile}, stale after ${settings.staleAfterSeconds}s, fallback: ${settings.fallback}`);
+    watchdog.start();
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            watchdog.stop();
+            process.exit(0);
+        });
+    });
+}
+
+main().catch(error => {
+    console.error('❌ Watchdog failed:', error.message);
+    process.exit(1);
+});